@@ -0,0 +1,37 @@
+// Dose adherence: each fired (or manually marked) occurrence is a dose record with a status history.
+//   { id, reminderId, name, scheduledFor, status: pending|taken|skipped|snoozed|missed, snoozedUntil, history: [{ status, at }] }
+const { DEFAULT_TIMEZONE, zonedParts } = require('./timezones');
+
+// missed: the occurrence came due while the server was down and was never sent (see CATCH_UP_POLICY)
+const DOSE_STATUSES = ['pending', 'taken', 'skipped', 'snoozed', 'missed'];
+
+// Monday 00:00 (in `timeZone`) of the week containing `date`, as YYYY-MM-DD
+function weekStart(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day, weekday } = zonedParts(new Date(date), timeZone);
+  // Date.UTC only does the calendar arithmetic
+  return new Date(Date.UTC(year, month - 1, day - ((weekday + 6) % 7))).toISOString().slice(0, 10);
+}
+
+// Percentage of due doses taken, per medication name per week. Doses still snoozed or pending, or missed, count as not taken.
+// Weeks run Monday to Sunday on the patient's clock (`timeZone`).
+function summarizeAdherence(doses, now = new Date(), weeks = null, timeZone = DEFAULT_TIMEZONE) {
+  const oldest = weeks ? weekStart(new Date(now.getTime() - (weeks - 1) * 7 * 24 * 3600 * 1000), timeZone) : null;
+  const groups = new Map();
+  for (const dose of doses) {
+    if (new Date(dose.scheduledFor) > now) continue;
+    const week = weekStart(dose.scheduledFor, timeZone);
+    if (oldest && week < oldest) continue;
+    const key = `${dose.name}|${week}`;
+    if (!groups.has(key)) groups.set(key, { name: dose.name, week, total: 0, taken: 0, skipped: 0, missed: 0 });
+    const g = groups.get(key);
+    g.total++;
+    if (dose.status === 'taken') g.taken++;
+    else if (dose.status === 'skipped') g.skipped++;
+    else g.missed++;
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, percentage: Math.round((g.taken / g.total) * 100) }))
+    .sort((a, b) => (a.week === b.week ? a.name.localeCompare(b.name) : b.week.localeCompare(a.week)));
+}
+
+module.exports = { DOSE_STATUSES, weekStart, summarizeAdherence };
@@ -0,0 +1,120 @@
+// Accounts and sessions.
+//   users:    { id, email, name, passwordHash, escalateAfterMinutes, createdAt }
+//   sessions: { id, userId, createdAt, expiresAt }
+// Passwords are hashed with scrypt and a per-user salt. Clients get a random bearer token; only its
+// SHA-256 is stored (as the session id), so a copy of the database can't be used to log in.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { clock } = require('./clock');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const SESSION_HOURS = 12;
+const REMEMBER_DAYS = 30;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD = 8;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  return EMAIL_RE.test(normalizeEmail(email));
+}
+
+// Returns an error message for a 400, or null
+function validateCredentials(email, password) {
+  if (!isValidEmail(email)) return 'a valid email is required';
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD) return `password must be at least ${MIN_PASSWORD} characters`;
+  return null;
+}
+
+// -> "scrypt$<salt hex>$<hash hex>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function tokenId(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// "remember me" sessions last 30 days, others 12 hours. Returns { token, expiresAt }.
+function createSession(store, userId, remember = false, now = clock.now()) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttl = remember ? REMEMBER_DAYS * 24 * 3600 * 1000 : SESSION_HOURS * 3600 * 1000;
+  const expiresAt = new Date(now.getTime() + ttl).toISOString();
+  store.insert('sessions', { id: tokenId(token), userId, createdAt: now.toISOString(), expiresAt });
+  return { token, expiresAt };
+}
+
+function endSession(store, token) {
+  return store.remove('sessions', tokenId(token));
+}
+
+// Calendar apps fetch feeds without headers, so the .ics feed URL carries its own token. Only its hash is
+// kept (users.calendarFeed); issuing a new one replaces the old link.
+function createFeedToken(store, userId, now = clock.now()) {
+  const token = crypto.randomBytes(24).toString('hex');
+  store.update('users', userId, { calendarFeed: { id: tokenId(token), createdAt: now.toISOString() } });
+  return token;
+}
+
+function userForFeedToken(store, token) {
+  const id = tokenId(token);
+  return store.find('users', u => u.calendarFeed && u.calendarFeed.id === id)[0] || null;
+}
+
+// Codes mailed to an address, which prove whoever enters one reads that mailbox (account emails are never
+// checked). Only the hash is kept, like session tokens. -> { code, id }
+function createCode() {
+  const code = crypto.randomBytes(16).toString('hex');
+  return { code, id: tokenId(code) };
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return m ? m[1] : null;
+}
+
+// Express middleware: sets req.user (without the password hash) and req.token, or answers 401
+function requireAuth(store) {
+  return (req, res, next) => {
+    const token = bearerToken(req);
+    const session = token && store.get('sessions', tokenId(token));
+    if (!session) return res.status(401).json({ error: 'authentication required' });
+    if (new Date(session.expiresAt) <= clock.now()) {
+      store.remove('sessions', session.id);
+      return res.status(401).json({ error: 'session expired' });
+    }
+    const user = store.get('users', session.userId);
+    if (!user) return res.status(401).json({ error: 'authentication required' });
+    req.user = publicUser(user);
+    req.token = token;
+    next();
+  };
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name || null,
+    escalateAfterMinutes: user.escalateAfterMinutes || null,
+    timezone: user.timezone || null,
+    travel: user.travel || null,
+    calendarFeed: user.calendarFeed ? { createdAt: user.calendarFeed.createdAt } : null,
+    createdAt: user.createdAt
+  };
+}
+
+module.exports = { normalizeEmail, isValidEmail, validateCredentials, hashPassword, verifyPassword, createSession, endSession, createFeedToken, userForFeedToken, createCode, tokenId, requireAuth, publicUser };
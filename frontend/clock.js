@@ -0,0 +1,23 @@
+// Time source. server.js, the job queue, sessions and the notification dispatcher read the time and arm
+// their timers through `clock` instead of Date and setTimeout, so tests can swap in a fake one and move
+// time forward by hand:
+//   clock.use(fakeClock) ... clock.use(null) goes back to the system clock
+// A clock is { now() -> Date, setTimeout(fn, ms) -> handle, clearTimeout(handle) }.
+const systemClock = {
+  now: () => new Date(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: handle => clearTimeout(handle)
+};
+
+let current = systemClock;
+
+const clock = {
+  now: () => current.now(),
+  setTimeout: (fn, ms) => current.setTimeout(fn, ms),
+  clearTimeout: handle => current.clearTimeout(handle),
+  use(source) {
+    current = source || systemClock;
+  }
+};
+
+module.exports = { clock, systemClock };
@@ -0,0 +1,168 @@
+// Local drug interaction and duplicate-therapy checks. The dataset is bundled here so checks work
+// offline; it covers common outpatient medicines and is not a substitute for a pharmacist's review.
+
+// Generic name -> class and the brand names / synonyms it is sold under. Names are matched as whole words,
+// so short or everyday words ("pan", "iron") would flag medicines that merely mention them.
+// `ingredients` lists the generics inside a combination product.
+const DRUGS = {
+  paracetamol: { class: 'analgesic', names: ['paracetamol', 'acetaminophen', 'tylenol', 'crocin', 'calpol', 'dolo', 'panadol', 'apap'] },
+  ibuprofen: { class: 'nsaid', names: ['ibuprofen', 'advil', 'motrin', 'brufen', 'nurofen'] },
+  naproxen: { class: 'nsaid', names: ['naproxen', 'aleve', 'naprosyn'] },
+  diclofenac: { class: 'nsaid', names: ['diclofenac', 'voltaren', 'voveran', 'cataflam'] },
+  aspirin: { class: 'nsaid', names: ['aspirin', 'ecosprin', 'disprin', 'acetylsalicylic acid'] },
+  warfarin: { class: 'anticoagulant', names: ['warfarin', 'coumadin', 'jantoven'] },
+  clopidogrel: { class: 'antiplatelet', names: ['clopidogrel', 'plavix', 'clopilet'] },
+  metformin: { class: 'biguanide', names: ['metformin', 'glucophage', 'glycomet'] },
+  atorvastatin: { class: 'statin', names: ['atorvastatin', 'lipitor', 'atorva'] },
+  simvastatin: { class: 'statin', names: ['simvastatin', 'zocor'] },
+  rosuvastatin: { class: 'statin', names: ['rosuvastatin', 'crestor', 'rosuvas'] },
+  clarithromycin: { class: 'macrolide', names: ['clarithromycin', 'biaxin', 'claribid'] },
+  erythromycin: { class: 'macrolide', names: ['erythromycin', 'erythrocin'] },
+  azithromycin: { class: 'macrolide', names: ['azithromycin', 'zithromax', 'azee', 'azithral'] },
+  amoxicillin: { class: 'penicillin', names: ['amoxicillin', 'amoxycillin', 'amoxil'] },
+  'amoxicillin-clavulanate': { class: 'penicillin', names: ['amoxicillin-clavulanate', 'co-amoxiclav', 'augmentin', 'clavam', 'moxclav'], ingredients: ['amoxicillin'] },
+  ciprofloxacin: { class: 'fluoroquinolone', names: ['ciprofloxacin', 'cipro', 'ciplox'] },
+  levofloxacin: { class: 'fluoroquinolone', names: ['levofloxacin', 'levaquin', 'levoflox'] },
+  metronidazole: { class: 'nitroimidazole', names: ['metronidazole', 'flagyl', 'metrogyl'] },
+  fluconazole: { class: 'azole antifungal', names: ['fluconazole', 'diflucan', 'forcan'] },
+  omeprazole: { class: 'ppi', names: ['omeprazole', 'prilosec', 'omez'] },
+  esomeprazole: { class: 'ppi', names: ['esomeprazole', 'nexium', 'nexpro'] },
+  pantoprazole: { class: 'ppi', names: ['pantoprazole', 'protonix', 'pantocid'] },
+  lisinopril: { class: 'ace inhibitor', names: ['lisinopril', 'zestril', 'prinivil'] },
+  enalapril: { class: 'ace inhibitor', names: ['enalapril', 'vasotec', 'envas'] },
+  ramipril: { class: 'ace inhibitor', names: ['ramipril', 'altace', 'cardace'] },
+  losartan: { class: 'arb', names: ['losartan', 'cozaar', 'losar'] },
+  telmisartan: { class: 'arb', names: ['telmisartan', 'micardis', 'telma'] },
+  spironolactone: { class: 'potassium-sparing diuretic', names: ['spironolactone', 'aldactone'] },
+  furosemide: { class: 'loop diuretic', names: ['furosemide', 'frusemide', 'lasix'] },
+  potassiumChloride: { class: 'potassium supplement', names: ['potassium chloride', 'kcl', 'k-dur', 'klor-con'] },
+  amlodipine: { class: 'calcium channel blocker', names: ['amlodipine', 'norvasc', 'amlong', 'amlodac'] },
+  metoprolol: { class: 'beta blocker', names: ['metoprolol', 'lopressor', 'toprol', 'metolar'] },
+  atenolol: { class: 'beta blocker', names: ['atenolol', 'tenormin'] },
+  sertraline: { class: 'ssri', names: ['sertraline', 'zoloft', 'serta'] },
+  fluoxetine: { class: 'ssri', names: ['fluoxetine', 'prozac', 'fludac'] },
+  escitalopram: { class: 'ssri', names: ['escitalopram', 'lexapro', 'nexito', 'cipralex'] },
+  tramadol: { class: 'opioid', names: ['tramadol', 'ultram', 'tramazac'] },
+  sildenafil: { class: 'pde5 inhibitor', names: ['sildenafil', 'viagra', 'revatio'] },
+  isosorbide: { class: 'nitrate', names: ['isosorbide mononitrate', 'isosorbide dinitrate', 'isosorbide', 'isordil', 'imdur'] },
+  nitroglycerin: { class: 'nitrate', names: ['nitroglycerin', 'glyceryl trinitrate', 'gtn', 'nitrostat'] },
+  levothyroxine: { class: 'thyroid hormone', names: ['levothyroxine', 'thyroxine', 'synthroid', 'thyronorm', 'eltroxin'] },
+  calcium: { class: 'calcium supplement', names: ['calcium carbonate', 'calcium citrate', 'calcium', 'shelcal', 'caltrate'] },
+  iron: { class: 'iron supplement', names: ['ferrous sulfate', 'ferrous sulphate', 'ferrous fumarate', 'livogen', 'feronia'] },
+  digoxin: { class: 'cardiac glycoside', names: ['digoxin', 'lanoxin'] },
+  allopurinol: { class: 'xanthine oxidase inhibitor', names: ['allopurinol', 'zyloprim', 'zyloric'] },
+  cetirizine: { class: 'antihistamine', names: ['cetirizine', 'zyrtec', 'cetzine', 'okacet'] },
+  prednisolone: { class: 'corticosteroid', names: ['prednisolone', 'prednisone', 'wysolone', 'omnacortil'] }
+};
+
+// Pairs are generic names or classes (prefixed `class:`); order within a pair doesn't matter.
+const INTERACTIONS = [
+  { a: 'warfarin', b: 'class:nsaid', severity: 'major', description: 'NSAIDs and aspirin add to warfarin\'s bleeding risk, including stomach bleeding.' },
+  { a: 'warfarin', b: 'class:macrolide', severity: 'major', description: 'Macrolide antibiotics slow warfarin breakdown and can push INR dangerously high.' },
+  { a: 'warfarin', b: 'fluconazole', severity: 'major', description: 'Fluconazole strongly raises warfarin levels; INR needs close monitoring.' },
+  { a: 'warfarin', b: 'metronidazole', severity: 'major', description: 'Metronidazole raises warfarin levels and bleeding risk.' },
+  { a: 'warfarin', b: 'class:fluoroquinolone', severity: 'moderate', description: 'Fluoroquinolones can raise INR in patients on warfarin.' },
+  { a: 'warfarin', b: 'clopidogrel', severity: 'major', description: 'Anticoagulant plus antiplatelet therapy greatly increases bleeding risk.' },
+  { a: 'clopidogrel', b: 'omeprazole', severity: 'moderate', description: 'Omeprazole reduces activation of clopidogrel, weakening its protection against clots.' },
+  { a: 'clopidogrel', b: 'esomeprazole', severity: 'moderate', description: 'Esomeprazole reduces activation of clopidogrel, weakening its protection against clots.' },
+  { a: 'clopidogrel', b: 'class:nsaid', severity: 'moderate', description: 'Combining antiplatelets with NSAIDs increases bleeding risk.' },
+  { a: 'simvastatin', b: 'clarithromycin', severity: 'major', description: 'Clarithromycin raises simvastatin levels and the risk of muscle breakdown (rhabdomyolysis).' },
+  { a: 'simvastatin', b: 'erythromycin', severity: 'major', description: 'Erythromycin raises simvastatin levels and the risk of muscle breakdown (rhabdomyolysis).' },
+  { a: 'atorvastatin', b: 'clarithromycin', severity: 'moderate', description: 'Clarithromycin raises atorvastatin levels; muscle pain should be reported.' },
+  { a: 'class:ace inhibitor', b: 'spironolactone', severity: 'major', description: 'Both raise potassium; together they can cause dangerous hyperkalaemia.' },
+  { a: 'class:arb', b: 'spironolactone', severity: 'major', description: 'Both raise potassium; together they can cause dangerous hyperkalaemia.' },
+  { a: 'class:ace inhibitor', b: 'potassiumChloride', severity: 'major', description: 'ACE inhibitors retain potassium; supplements can cause hyperkalaemia.' },
+  { a: 'class:arb', b: 'potassiumChloride', severity: 'major', description: 'ARBs retain potassium; supplements can cause hyperkalaemia.' },
+  { a: 'class:ace inhibitor', b: 'class:arb', severity: 'major', description: 'Dual blockade of the renin-angiotensin system raises the risk of kidney injury and hyperkalaemia.' },
+  { a: 'class:nsaid', b: 'class:ace inhibitor', severity: 'moderate', description: 'NSAIDs blunt the blood-pressure effect of ACE inhibitors and can harm the kidneys.' },
+  { a: 'class:nsaid', b: 'class:arb', severity: 'moderate', description: 'NSAIDs blunt the blood-pressure effect of ARBs and can harm the kidneys.' },
+  { a: 'class:ssri', b: 'tramadol', severity: 'major', description: 'Risk of serotonin syndrome and seizures.' },
+  { a: 'class:ssri', b: 'class:nsaid', severity: 'moderate', description: 'SSRIs with NSAIDs or aspirin increase the risk of stomach bleeding.' },
+  { a: 'class:ssri', b: 'warfarin', severity: 'moderate', description: 'SSRIs add to warfarin\'s bleeding risk.' },
+  { a: 'sildenafil', b: 'class:nitrate', severity: 'major', description: 'Can cause a sudden, severe drop in blood pressure. Do not combine.' },
+  { a: 'levothyroxine', b: 'calcium', severity: 'moderate', description: 'Calcium reduces levothyroxine absorption; take them at least 4 hours apart.' },
+  { a: 'levothyroxine', b: 'iron', severity: 'moderate', description: 'Iron reduces levothyroxine absorption; take them at least 4 hours apart.' },
+  { a: 'levothyroxine', b: 'class:ppi', severity: 'minor', description: 'Long-term acid suppression can reduce levothyroxine absorption.' },
+  { a: 'class:fluoroquinolone', b: 'calcium', severity: 'moderate', description: 'Calcium binds the antibiotic; take it 2 hours before or 6 hours after.' },
+  { a: 'class:fluoroquinolone', b: 'iron', severity: 'moderate', description: 'Iron binds the antibiotic; take it 2 hours before or 6 hours after.' },
+  { a: 'digoxin', b: 'clarithromycin', severity: 'major', description: 'Clarithromycin raises digoxin levels and the risk of toxicity.' },
+  { a: 'digoxin', b: 'furosemide', severity: 'moderate', description: 'Furosemide can lower potassium, making digoxin toxicity more likely.' },
+  { a: 'metformin', b: 'prednisolone', severity: 'minor', description: 'Steroids raise blood sugar and can offset metformin.' },
+  { a: 'allopurinol', b: 'amoxicillin', severity: 'minor', description: 'Higher chance of skin rash when taken together.' }
+];
+
+// Classes where taking two members at once is usually a mistake
+const DUPLICATE_CLASSES = ['nsaid', 'statin', 'ppi', 'ssri', 'ace inhibitor', 'arb', 'macrolide', 'fluoroquinolone', 'beta blocker', 'anticoagulant'];
+
+const SEVERITY_ORDER = { major: 0, moderate: 1, minor: 2 };
+
+// synonym -> generic, longest synonyms first so "potassium chloride" beats "calcium"-style partial hits
+const SYNONYMS = Object.entries(DRUGS)
+  .flatMap(([generic, def]) => def.names.map(name => ({ name, generic })))
+  .sort((a, b) => b.name.length - a.name.length);
+
+// Free-text medicine name ("Tab. Crocin 650 (2 tablets)") -> generic key, or null if not in the dataset
+function identifyDrug(text) {
+  const lower = ` ${String(text).toLowerCase().replace(/[^a-z0-9-]+/g, ' ')} `;
+  const hit = SYNONYMS.find(s => lower.includes(` ${s.name} `));
+  return hit ? hit.generic : null;
+}
+
+function ingredientsOf(generic) {
+  return [generic, ...(DRUGS[generic].ingredients || [])];
+}
+
+function matches(term, generic) {
+  if (term.startsWith('class:')) return DRUGS[generic].class === term.slice(6);
+  return ingredientsOf(generic).includes(term);
+}
+
+// Warnings for one pair of identified medicines
+function checkPair(a, b) {
+  const warnings = [];
+  const sharedIngredient = ingredientsOf(a.generic).find(i => ingredientsOf(b.generic).includes(i));
+  if (sharedIngredient) {
+    warnings.push({
+      type: 'duplicate',
+      severity: 'major',
+      description: a.name === b.name
+        ? `${a.name} is on the list twice. Taking both risks a double dose.`
+        : `${a.name} and ${b.name} both contain ${sharedIngredient}. Taking both risks a double dose.`
+    });
+  } else if (DRUGS[a.generic].class === DRUGS[b.generic].class && DUPLICATE_CLASSES.includes(DRUGS[a.generic].class)) {
+    warnings.push({
+      type: 'duplicate',
+      severity: 'moderate',
+      description: `${a.name} and ${b.name} are in the same drug class (${DRUGS[a.generic].class}). Taking both is usually duplicate therapy.`
+    });
+  }
+  for (const rule of INTERACTIONS) {
+    if ((matches(rule.a, a.generic) && matches(rule.b, b.generic)) || (matches(rule.a, b.generic) && matches(rule.b, a.generic))) {
+      warnings.push({ type: 'interaction', severity: rule.severity, description: rule.description });
+    }
+  }
+  return warnings.map(w => ({ ...w, medications: [a.name, b.name], drugs: [a.generic, b.generic] }));
+}
+
+// Check new medicine names against each other and against the names already active.
+// Returns warnings sorted most severe first: { type, severity, description, medications, drugs }
+function checkMedications(newNames, activeNames = []) {
+  const identify = name => ({ name, generic: identifyDrug(name) });
+  const incoming = newNames.map(identify).filter(d => d.generic);
+  const active = activeNames.map(identify).filter(d => d.generic);
+  const warnings = [];
+  const seen = new Set();
+  const add = (a, b) => {
+    const key = [a.name, b.name].sort().join('|');
+    if (seen.has(key)) return;
+    seen.add(key);
+    warnings.push(...checkPair(a, b));
+  };
+  incoming.forEach((a, i) => {
+    incoming.slice(i + 1).forEach(b => add(a, b));
+    active.forEach(b => add(a, b));
+  });
+  return warnings.sort((x, y) => SEVERITY_ORDER[x.severity] - SEVERITY_ORDER[y.severity]);
+}
+
+module.exports = { DRUGS, INTERACTIONS, identifyDrug, checkMedications };
@@ -0,0 +1,289 @@
+// FHIR R4 JSON in and out.
+// Import: MedicationRequest resources (alone, in an array or a Bundle) become prescription items of the
+// shape parsePrescription() produces, read from dosageInstruction timing rather than free text.
+// Export: report analyses as DiagnosticReport + Observation bundles, and reminders with their dose
+// history as MedicationStatement resources (one per reminder, plus one per dose that points back to it).
+const { describeRule } = require('./recurrence');
+
+// LOINC codes for the analytes in labValues.js
+const LOINC = {
+  hemoglobin: '718-7', hematocrit: '4544-3', rbc: '789-8', wbc: '6690-2', platelets: '777-3', mcv: '787-2',
+  mch: '785-6', mchc: '786-4', neutrophils: '770-8', lymphocytes: '736-9', eosinophils: '713-8', monocytes: '5905-5',
+  esr: '4537-7', fastingGlucose: '1558-6', glucose: '2345-7', hba1c: '4548-4', cholesterol: '2093-3', ldl: '2089-1',
+  hdl: '2085-9', triglycerides: '2571-8', vldl: '13458-5', creatinine: '2160-0', urea: '3091-6', bun: '3094-0',
+  uricAcid: '3084-1', sodium: '2951-2', potassium: '2823-3', chloride: '2075-0', calcium: '17861-6', bilirubin: '1975-2',
+  directBilirubin: '1968-7', alt: '1742-6', ast: '1920-8', alp: '6768-6', ggt: '2324-2', albumin: '1751-7',
+  totalProtein: '2885-2', tsh: '3016-3', freeT4: '3024-7', t3: '3053-6', t4: '3026-2', vitaminD: '1989-3',
+  vitaminB12: '2132-9', ferritin: '2276-4', iron: '2498-4', crp: '1988-5'
+};
+
+const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Default clock times, matching the prescription parser's
+const DEFAULT_TIMES = { 1: ['08:00'], 2: ['08:00', '20:00'], 3: ['08:00', '14:00', '20:00'], 4: ['08:00', '12:00', '16:00', '20:00'] };
+// Timing.repeat.when (event timing) codes as clock times
+const WHEN_TIMES = {
+  WAKE: '07:00', MORN: '08:00', 'MORN.early': '07:00', 'MORN.late': '10:00', NOON: '12:00', AFT: '14:00', 'AFT.early': '13:00',
+  'AFT.late': '16:00', EVE: '18:00', 'EVE.early': '17:00', 'EVE.late': '20:00', NIGHT: '22:00', HS: '22:00',
+  CM: '08:00', ACM: '08:00', PCM: '08:00', CD: '13:00', ACD: '13:00', PCD: '13:00', CV: '19:00', ACV: '19:00', PCV: '19:00'
+};
+// Timing.code abbreviations, used when there is no repeat element
+const TIMING_CODES = {
+  QD: { timesPerDay: 1 }, BID: { timesPerDay: 2 }, TID: { timesPerDay: 3 }, QID: { timesPerDay: 4 },
+  AM: { times: ['08:00'] }, PM: { times: ['20:00'] }, BED: { times: ['22:00'] },
+  Q4H: { everyHours: 4 }, Q6H: { everyHours: 6 }, QOD: { everyHours: 48 }, WK: { everyHours: 168 }
+};
+const PERIOD_HOURS = { h: 1, d: 24, wk: 168 };
+// nothing is taken by the second or minute
+const SHORT_PERIODS = ['s', 'min'];
+const DURATION_DAYS = { h: 1 / 24, d: 1, wk: 7, mo: 30, a: 365 };
+const CLOSED_STATUSES = ['completed', 'stopped', 'cancelled', 'entered-in-error', 'revoked'];
+
+function conceptText(concept) {
+  if (!concept) return null;
+  if (concept.text) return concept.text;
+  const coding = (concept.coding || []).find(c => c.display);
+  return coding ? coding.display : null;
+}
+
+function medicationName(request, resources) {
+  if (request.medicationCodeableConcept) return conceptText(request.medicationCodeableConcept);
+  const ref = request.medicationReference;
+  if (!ref) return null;
+  if (ref.reference) {
+    // "#med1" for contained resources, "Medication/123" or a fullUrl inside the bundle
+    const id = ref.reference.replace(/^#/, '').split('/').pop();
+    const med = [...(request.contained || []), ...resources].find(r => r.resourceType === 'Medication' && r.id === id);
+    if (med && conceptText(med.code)) return conceptText(med.code);
+  }
+  return ref.display || null;
+}
+
+function mealTiming(when) {
+  if (when.some(w => /^AC/.test(w))) return 'before food';
+  if (when.some(w => /^PC/.test(w))) return 'after food';
+  if (when.some(w => /^C[MDV]?$/.test(w))) return 'with food';
+  return null;
+}
+
+// Dosage.timing -> { times?, everyHours?, weekdays?, timing?, startDate?, endDate?, durationDays? } or an error string
+function readTiming(timing) {
+  if (!timing) return 'dosageInstruction has no timing';
+  const out = {};
+  const repeat = timing.repeat;
+  if (!repeat) {
+    const code = timing.code && (timing.code.coding || []).map(c => TIMING_CODES[c.code]).find(Boolean);
+    if (!code) return 'timing has neither repeat nor a known code';
+    if (code.everyHours) out.everyHours = code.everyHours;
+    else out.times = code.times || DEFAULT_TIMES[code.timesPerDay];
+    return out;
+  }
+  const when = repeat.when || [];
+  if (repeat.dayOfWeek && repeat.dayOfWeek.length) out.weekdays = repeat.dayOfWeek.map(d => DAYS.indexOf(d)).filter(d => d >= 0);
+  const meal = mealTiming(when);
+  if (meal) out.timing = meal;
+  const frequency = repeat.frequency || 1;
+  const period = repeat.period || 1;
+  const unitHours = PERIOD_HOURS[repeat.periodUnit || 'd'];
+  if (SHORT_PERIODS.includes(repeat.periodUnit)) return `a period of ${period} ${repeat.periodUnit} is too short to schedule`;
+  if (repeat.timeOfDay && repeat.timeOfDay.length) {
+    out.times = repeat.timeOfDay.map(t => t.slice(0, 5));
+  } else if (when.some(w => WHEN_TIMES[w])) {
+    out.times = [...new Set(when.map(w => WHEN_TIMES[w]).filter(Boolean))];
+  } else if (!unitHours) {
+    return `a period of ${period} ${repeat.periodUnit} is too long to schedule`;
+  } else if (repeat.periodUnit === 'wk' && out.weekdays && period === 1) {
+    out.times = ['08:00'];
+  } else if ((repeat.periodUnit || 'd') === 'd' && period === 1 && DEFAULT_TIMES[frequency]) {
+    out.times = DEFAULT_TIMES[frequency];
+  } else {
+    out.everyHours = Math.round(((period * unitHours) / frequency) * 1000) / 1000;
+  }
+  if (repeat.boundsPeriod) {
+    if (repeat.boundsPeriod.start) out.startDate = repeat.boundsPeriod.start;
+    // a date-only end includes that whole day
+    if (repeat.boundsPeriod.end) out.endDate = /^\d{4}-\d{2}-\d{2}$/.test(repeat.boundsPeriod.end) ? `${repeat.boundsPeriod.end}T23:59` : repeat.boundsPeriod.end;
+  } else if (repeat.boundsDuration && DURATION_DAYS[repeat.boundsDuration.code || repeat.boundsDuration.unit]) {
+    out.durationDays = repeat.boundsDuration.value * DURATION_DAYS[repeat.boundsDuration.code || repeat.boundsDuration.unit];
+  } else if (repeat.count) {
+    const perDay = out.times ? out.times.length * ((out.weekdays ? out.weekdays.length : 7) / 7) : 24 / out.everyHours;
+    out.durationDays = Math.max(1, Math.ceil(repeat.count / perDay));
+  }
+  return out;
+}
+
+function resourcesIn(input) {
+  if (Array.isArray(input)) return input.flatMap(resourcesIn);
+  if (input && input.resourceType === 'Bundle') return (input.entry || []).map(e => e.resource).filter(Boolean);
+  return input && input.resourceType ? [input] : [];
+}
+
+// -> { items: [prescription item + { fhirId, startDate?, endDate?, weekdays?, stock? }], skipped: [{ id, name, error }] }
+function medicationRequestsToItems(input) {
+  const resources = resourcesIn(input);
+  if (!resources.length) throw new Error('expected a FHIR MedicationRequest, an array of them or a Bundle');
+  const items = [];
+  const skipped = [];
+  for (const request of resources.filter(r => r.resourceType === 'MedicationRequest')) {
+    const id = request.id || null;
+    const name = medicationName(request, resources);
+    if (!name) { skipped.push({ id, name, error: 'no medication name' }); continue; }
+    if (CLOSED_STATUSES.includes(request.status)) { skipped.push({ id, name, error: `request is ${request.status}` }); continue; }
+    const dosage = (request.dosageInstruction || [])[0] || {};
+    const prn = Boolean(dosage.asNeededBoolean || dosage.asNeededCodeableConcept);
+    const schedule = prn ? {} : readTiming(dosage.timing);
+    if (typeof schedule === 'string') { skipped.push({ id, name, error: schedule }); continue; }
+    const doseQuantity = ((dosage.doseAndRate || [])[0] || {}).doseQuantity;
+    const dose = doseQuantity && doseQuantity.value != null ? { amount: doseQuantity.value, unit: doseQuantity.unit || doseQuantity.code || 'unit' } : null;
+    const supply = request.dispenseRequest && request.dispenseRequest.quantity;
+    items.push({
+      fhirId: id,
+      name,
+      strength: null,
+      dose,
+      count: dose ? dose.amount : 1,
+      everyHours: schedule.everyHours || null,
+      times: schedule.times || null,
+      weekdays: schedule.weekdays || null,
+      timing: schedule.timing || null,
+      startDate: schedule.startDate || null,
+      endDate: schedule.endDate || null,
+      durationDays: schedule.durationDays || null,
+      prn,
+      stock: supply && supply.value != null ? { quantity: supply.value, perDose: dose ? dose.amount : 1 } : null,
+      line: dosage.text || null
+    });
+  }
+  if (!items.length && !skipped.length) throw new Error('no MedicationRequest resources found');
+  return { items, skipped };
+}
+
+function bundle(entries, baseUrl, now) {
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: now.toISOString(),
+    entry: entries.map(resource => ({ fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`, resource }))
+  };
+}
+
+function patientResource(user) {
+  return {
+    resourceType: 'Patient',
+    id: user.id,
+    ...(user.name ? { name: [{ text: user.name }] } : {}),
+    telecom: [{ system: 'email', value: user.email }]
+  };
+}
+
+function interpretation(value) {
+  const code = value.flag === 'critical' ? (value.direction === 'low' ? 'LL' : 'HH')
+    : value.flag === 'low' ? 'L' : value.flag === 'high' ? 'H' : value.flag === 'normal' ? 'N' : null;
+  return code ? [{ coding: [{ system: INTERPRETATION_SYSTEM, code }] }] : undefined;
+}
+
+function quantity(value, unit) {
+  return value == null ? undefined : { value, ...(unit ? { unit } : {}) };
+}
+
+function observationResource(report, value, index, subject) {
+  const loinc = LOINC[value.analyte];
+  const range = value.referenceRange;
+  return {
+    resourceType: 'Observation',
+    id: `${report.id}-${index + 1}`,
+    status: 'final',
+    category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'laboratory' }] }],
+    code: { ...(loinc ? { coding: [{ system: 'http://loinc.org', code: loinc, display: value.name }] } : {}), text: value.printedName || value.name },
+    subject,
+    effectiveDateTime: report.reportDate || report.analyzedAt,
+    issued: report.analyzedAt,
+    valueQuantity: { value: value.value, ...(value.comparator ? { comparator: value.comparator } : {}), ...(value.unit ? { unit: value.unit } : {}) },
+    interpretation: interpretation(value),
+    referenceRange: range && (range.low != null || range.high != null)
+      ? [{ low: quantity(range.low, value.unit), high: quantity(range.high, value.unit), text: range.source === 'default' ? 'default adult range' : undefined }]
+      : undefined
+  };
+}
+
+// One report analysis -> [DiagnosticReport, ...Observation]
+function reportResources(report, subject) {
+  const observations = (report.labValues || []).map((v, i) => observationResource(report, v, i, subject));
+  const radiology = report.reportType === 'Radiology Report';
+  const diagnostic = {
+    resourceType: 'DiagnosticReport',
+    id: report.id,
+    status: 'final',
+    category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0074', code: radiology ? 'RAD' : 'LAB' }] }],
+    code: { text: report.reportType },
+    subject,
+    effectiveDateTime: report.reportDate || report.analyzedAt,
+    issued: report.analyzedAt,
+    result: observations.map(o => ({ reference: `Observation/${o.id}`, display: o.code.text })),
+    conclusion: [report.summary, ...(report.findings || [])].filter(Boolean).join('\n'),
+    extension: [{ url: 'urn:medicine-reminder:report-status', valueString: report.status }]
+  };
+  return [diagnostic, ...observations];
+}
+
+function reportsBundle(reports, user, baseUrl, { now = new Date() } = {}) {
+  const subject = { reference: `Patient/${user.id}` };
+  return bundle([patientResource(user), ...reports.flatMap(r => reportResources(r, subject))], baseUrl, now);
+}
+
+// Reminder -> Dosage, the inverse of readTiming
+function dosageFor(rem) {
+  const rule = rem.schedule;
+  const repeat = {};
+  if (rule && rule.times) Object.assign(repeat, { frequency: rule.times.length, period: 1, periodUnit: 'd', timeOfDay: rule.times.map(t => `${t}:00`) });
+  else if (rule) Object.assign(repeat, { frequency: 1, period: rule.everyHours, periodUnit: 'h' });
+  if (rule && rule.weekdays) repeat.dayOfWeek = rule.weekdays.map(d => DAYS[d]);
+  const timing = rule ? { repeat } : { event: [rem.time] };
+  return {
+    text: rule ? describeRule(rule) : `once at ${rem.time}`,
+    timing,
+    ...(rem.dose ? { doseAndRate: [{ doseQuantity: { value: rem.dose.amount, unit: rem.dose.unit } }] } : {})
+  };
+}
+
+const DOSE_STATEMENT_STATUS = { taken: 'completed', skipped: 'not-taken', missed: 'not-taken', pending: 'intended', snoozed: 'intended' };
+
+// Reminders and their doses -> MedicationStatements. `endOf(rem)` gives when the regimen ends (null if it doesn't).
+function medicationStatementsBundle(reminders, doses, user, baseUrl, { endOf, now = new Date() }) {
+  const subject = { reference: `Patient/${user.id}` };
+  const byReminder = new Map(reminders.map(r => [r.id, r]));
+  const regimens = reminders.map(rem => {
+    const end = endOf(rem);
+    const start = rem.schedule ? rem.schedule.startDate : rem.time;
+    const done = rem.fired || (end && end <= now);
+    return {
+      resourceType: 'MedicationStatement',
+      id: rem.id,
+      status: done ? 'completed' : rem.pausedAt ? 'on-hold' : 'active',
+      medicationCodeableConcept: { text: rem.name },
+      subject,
+      effectivePeriod: { start, ...(end ? { end: end.toISOString() } : {}) },
+      dateAsserted: rem.createdAt,
+      dosage: [dosageFor(rem)],
+      ...(rem.timing ? { note: [{ text: `Take ${rem.timing}` }] } : {})
+    };
+  });
+  const history = doses.filter(d => byReminder.has(d.reminderId)).map(dose => {
+    const last = dose.history[dose.history.length - 1];
+    return {
+      resourceType: 'MedicationStatement',
+      id: dose.id,
+      partOf: [{ reference: `MedicationStatement/${dose.reminderId}` }],
+      status: DOSE_STATEMENT_STATUS[dose.status] || 'unknown',
+      ...(dose.status === 'skipped' || dose.status === 'missed' ? { statusReason: [{ text: dose.status === 'missed' ? 'missed (reminder not delivered)' : 'skipped by patient' }] } : {}),
+      medicationCodeableConcept: { text: dose.name },
+      subject,
+      effectiveDateTime: dose.status === 'taken' && last ? last.at : dose.scheduledFor,
+      dateAsserted: last ? last.at : dose.scheduledFor,
+      note: [{ text: `Scheduled for ${dose.scheduledFor}` }]
+    };
+  });
+  return bundle([patientResource(user), ...regimens, ...history], baseUrl, now);
+}
+
+module.exports = { LOINC, medicationRequestsToItems, reportsBundle, medicationStatementsBundle };
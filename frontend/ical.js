@@ -0,0 +1,331 @@
+// iCalendar (RFC 5545) export and import of reminders.
+// Export: a fixed-time rule becomes one DAILY (or WEEKLY, with weekdays) event per time of day in the
+// reminder's zone, an interval rule an HOURLY/MINUTELY event, and a one-off reminder a single event.
+// Every event has a VALARM at dose time, and carries the reminder itself as JSON in X-MEDICINE-REMINDER
+// so a calendar exported from one server (or storage backend) imports back exactly. Events from other
+// calendars are read from DTSTART/RRULE; recurrences the scheduler can't express are skipped.
+const { zonedParts, offsetAt, zonedTime, isValidTimeZone } = require('./timezones');
+const { nextOccurrence, occurrencesBetween, ruleEnd } = require('./recurrence');
+
+const PRODID = '-//Medicine Reminder//Schedules//EN';
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY = 24 * 3600 * 1000;
+const FAR_FUTURE = new Date(8640000000000000);
+
+function escapeText(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(s) {
+  return s.replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// Content lines longer than 75 octets are folded onto continuation lines starting with a space
+function fold(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+const pad = (n, w = 2) => String(n).padStart(w, '0');
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatLocal(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+function formatOffset(ms) {
+  const mins = Math.round(Math.abs(ms) / 60000);
+  return `${ms < 0 ? '-' : '+'}${pad(Math.floor(mins / 60))}${pad(mins % 60)}`;
+}
+
+// VTIMEZONE with one observance per offset change in [fromYear, toYear], found by scanning day by day
+// and narrowing each change down to the minute
+function vtimezone(timeZone, fromYear, toYear) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const changes = [];
+  const last = Date.UTC(toYear + 1, 0, 1);
+  let t = Date.UTC(fromYear, 0, 1);
+  let offset = offsetAt(new Date(t), timeZone);
+  const initial = offset;
+  for (; t < last; t += DAY) {
+    const next = offsetAt(new Date(t + DAY), timeZone);
+    if (next === offset) continue;
+    let lo = t;
+    let hi = t + DAY;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (offsetAt(new Date(mid), timeZone) === offset) lo = mid;
+      else hi = mid;
+    }
+    changes.push({ at: hi, from: offset, to: next });
+    offset = next;
+  }
+  if (!changes.length) changes.push({ at: Date.UTC(1970, 0, 1), from: initial, to: initial });
+  for (const c of changes) {
+    const kind = c.to > c.from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      // onset in the local time that was in effect before the change
+      `DTSTART:${formatUtc(new Date(c.at + c.from)).slice(0, -1)}`,
+      `TZOFFSETFROM:${formatOffset(c.from)}`,
+      `TZOFFSETTO:${formatOffset(c.to)}`,
+      `END:${kind}`
+    );
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// UNTIL is the last time that may occur, a second before our exclusive end
+function untilPart(rule) {
+  const end = ruleEnd(rule);
+  return end ? `;UNTIL=${formatUtc(new Date(end.getTime() - 1000))}` : '';
+}
+
+function weekdayPart(rule) {
+  return rule.weekdays ? `;BYDAY=${rule.weekdays.map(d => BYDAY[d]).join(',')}` : '';
+}
+
+// [{ key, start, rrule }] for one reminder; start is null when the rule never fires
+function occurrencePatterns(rem, timeZone) {
+  if (!rem.schedule) return [{ key: 'once', start: new Date(rem.time), rrule: null }];
+  const rule = rem.schedule;
+  const before = new Date(new Date(rule.startDate).getTime() - 1);
+  if (rule.everyHours) {
+    const minutes = Math.round(rule.everyHours * 60);
+    const freq = minutes % 60 === 0 ? `FREQ=HOURLY;INTERVAL=${minutes / 60}` : `FREQ=MINUTELY;INTERVAL=${minutes}`;
+    return [{ key: 'interval', start: nextOccurrence(rule, before, timeZone), rrule: `${freq}${weekdayPart(rule)}${untilPart(rule)}` }];
+  }
+  const freq = rule.weekdays ? 'FREQ=WEEKLY' : 'FREQ=DAILY';
+  return rule.times.map(time => ({
+    key: time.replace(':', ''),
+    start: nextOccurrence({ ...rule, times: [time] }, before, timeZone),
+    rrule: `${freq}${weekdayPart(rule)}${untilPart(rule)}`
+  }));
+}
+
+// reminders: full reminder documents; zoneFor(rem) gives the zone its fixed times are in
+function exportCalendar(reminders, { zoneFor, name = 'Medicines', now = new Date() }) {
+  const events = [];
+  const zones = new Map(); // zone -> earliest year used
+  for (const rem of reminders) {
+    const timeZone = zoneFor(rem);
+    const meta = JSON.stringify({
+      id: rem.id, name: rem.name, type: rem.type, tone: rem.tone, timezone: rem.timezone || null,
+      schedule: rem.schedule || null, time: rem.time || null, stock: rem.stock || null
+    });
+    for (const { key, start, rrule } of occurrencePatterns(rem, timeZone)) {
+      if (!start) continue;
+      const year = zonedParts(start, timeZone).year;
+      zones.set(timeZone, Math.min(zones.get(timeZone) || year, year));
+      events.push(
+        'BEGIN:VEVENT',
+        `UID:${rem.id}-${key}@medicine-reminder`,
+        `DTSTAMP:${formatUtc(now)}`,
+        `DTSTART;TZID=${timeZone}:${formatLocal(start, timeZone)}`,
+        'DURATION:PT15M',
+        ...(rrule ? [`RRULE:${rrule}`] : []),
+        `SUMMARY:${escapeText(rem.name)}`,
+        `DESCRIPTION:${escapeText(`Time to take: ${rem.name}`)}`,
+        'CATEGORIES:MEDICATION',
+        `X-MEDICINE-REMINDER:${escapeText(meta)}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(`Time to take: ${rem.name}`)}`,
+        'TRIGGER:PT0M',
+        'END:VALARM',
+        'END:VEVENT'
+      );
+    }
+  }
+  const lastYear = zonedParts(now, 'UTC').year + 2;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...[...zones].flatMap(([zone, year]) => vtimezone(zone, year, Math.max(year, lastYear))),
+    ...events,
+    'END:VCALENDAR'
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// Unfold and split into components: [{ name, props: [{ name, params, value }], children }]
+function parseComponents(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+  const root = { name: 'ROOT', props: [], children: [] };
+  const stack = [root];
+  for (const line of lines) {
+    const m = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+    if (!m) continue;
+    const name = m[1].toUpperCase();
+    const value = m[3];
+    const top = stack[stack.length - 1];
+    if (name === 'BEGIN') {
+      const child = { name: value.toUpperCase(), props: [], children: [] };
+      top.children.push(child);
+      stack.push(child);
+    } else if (name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      const params = {};
+      for (const p of m[2].split(';').slice(1)) {
+        const [k, v] = p.split('=');
+        params[k.toUpperCase()] = v.replace(/^"|"$/g, '');
+      }
+      top.props.push({ name, params, value });
+    }
+  }
+  return root.children;
+}
+
+function prop(component, name) {
+  return component.props.find(p => p.name === name) || null;
+}
+
+// DATE-TIME in UTC ("...Z"), with a TZID, or floating (read in `fallbackZone`); DATE values are rejected
+function parseDateTime(p, fallbackZone) {
+  const m = p.value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!m) return null;
+  const [, y, mo, d, hh, mm, ss, utc] = m.map((v, i) => (i && i < 7 ? Number(v) : v));
+  if (utc) return new Date(Date.UTC(y, mo - 1, d, hh, mm, ss));
+  const zone = isValidTimeZone(p.params.TZID) ? p.params.TZID : fallbackZone;
+  return new Date(zonedTime(y, mo, d, hh, mm, zone).getTime() + ss * 1000);
+}
+
+// UNTIL includes the time it names; a recurrence rule's endDate doesn't. -> the endDate, or null
+function parseUntil(value, timeZone) {
+  const date = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  // a date-only UNTIL includes that whole day
+  if (date) return zonedTime(Number(date[1]), Number(date[2]), Number(date[3]) + 1, 0, 0, timeZone);
+  const until = parseDateTime({ value, params: {} }, timeZone);
+  return until && new Date(until.getTime() + 1000);
+}
+
+// RRULE -> recurrence rule fields (without startDate), or a string explaining why it can't be used
+function ruleFromRrule(rrule, start, timeZone) {
+  const parts = Object.fromEntries(rrule.split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+  const interval = Number(parts.INTERVAL || 1);
+  if (!(Number.isInteger(interval) && interval > 0)) return 'RRULE has an invalid INTERVAL';
+  const unsupported = ['BYMONTH', 'BYMONTHDAY', 'BYYEARDAY', 'BYWEEKNO', 'BYSETPOS', 'BYSECOND'].find(k => parts[k]);
+  if (unsupported) return `${unsupported} recurrences are not supported`;
+  const rule = {};
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(d => BYDAY.indexOf(d.toUpperCase()));
+    if (days.some(d => d < 0)) return 'BYDAY with week numbers (e.g. 1MO) is not supported';
+    rule.weekdays = days;
+  }
+  const local = zonedParts(start, timeZone);
+  if ((parts.FREQ === 'DAILY' && interval === 1) || (parts.FREQ === 'WEEKLY' && interval === 1)) {
+    if (parts.FREQ === 'WEEKLY' && !rule.weekdays) rule.weekdays = [local.weekday];
+    const hours = parts.BYHOUR ? parts.BYHOUR.split(',').map(Number) : [local.hour];
+    const minutes = parts.BYMINUTE ? parts.BYMINUTE.split(',').map(Number) : [local.minute];
+    rule.times = hours.flatMap(h => minutes.map(m => `${pad(h)}:${pad(m)}`));
+  } else if (parts.FREQ === 'DAILY') {
+    rule.everyHours = 24 * interval;
+  } else if (parts.FREQ === 'HOURLY') {
+    rule.everyHours = interval;
+  } else if (parts.FREQ === 'MINUTELY' && interval >= 15) {
+    rule.everyHours = interval / 60;
+  } else {
+    return `${parts.FREQ || 'this'}${interval > 1 ? ` every ${interval}` : ''} recurrence is not supported`;
+  }
+  if (parts.UNTIL) {
+    const until = parseUntil(parts.UNTIL, timeZone);
+    if (!until) return 'RRULE has an invalid UNTIL';
+    rule.endDate = until.toISOString();
+  } else if (parts.COUNT) {
+    // the scheduler works with end dates, so find the COUNT-th occurrence
+    const count = Number(parts.COUNT);
+    if (!(count > 0)) return 'RRULE has an invalid COUNT';
+    const full = { ...rule, startDate: start.toISOString() };
+    const list = occurrencesBetween(full, new Date(start.getTime() - 1), FAR_FUTURE, count, timeZone);
+    if (list.length) rule.endDate = new Date(list[list.length - 1].getTime() + 1000).toISOString();
+  }
+  return rule;
+}
+
+// Reminder inputs from calendar text: { reminders: [{ uid, name, type?, tone?, timezone, schedule | time, stock? }],
+// skipped: [{ uid, name, error }] }. Fixed-time events for the same medicine with the same days are merged into one
+// reminder with several times. `timeZone` is used for floating times and unknown TZIDs.
+function importCalendar(text, { timeZone }) {
+  const calendars = parseComponents(text).filter(c => c.name === 'VCALENDAR');
+  if (!calendars.length) throw new Error('not an iCalendar file (no VCALENDAR)');
+  const events = calendars.flatMap(c => c.children.filter(e => e.name === 'VEVENT'));
+  const reminders = [];
+  const skipped = [];
+  const seen = new Set();
+  const merged = new Map();
+  for (const event of events) {
+    const uid = (prop(event, 'UID') || { value: null }).value;
+    const summary = prop(event, 'SUMMARY');
+    const name = summary ? unescapeText(summary.value).trim() : '';
+    // our own export: take the reminder as it was, once per reminder
+    const own = prop(event, 'X-MEDICINE-REMINDER');
+    if (own) {
+      let meta;
+      try { meta = JSON.parse(unescapeText(own.value)); } catch (e) { meta = null; }
+      if (meta && meta.id && (meta.schedule || meta.time)) {
+        if (seen.has(meta.id)) continue;
+        seen.add(meta.id);
+        reminders.push({ uid: meta.id, name: meta.name, type: meta.type, tone: meta.tone, timezone: meta.timezone, schedule: meta.schedule || undefined, time: meta.time || undefined, stock: meta.stock || undefined });
+        continue;
+      }
+    }
+    if (!name) { skipped.push({ uid, name, error: 'event has no SUMMARY' }); continue; }
+    const dtstart = prop(event, 'DTSTART');
+    if (!dtstart) { skipped.push({ uid, name, error: 'event has no DTSTART' }); continue; }
+    const start = parseDateTime(dtstart, timeZone);
+    if (!start) { skipped.push({ uid, name, error: 'all-day events have no time of day' }); continue; }
+    const zone = isValidTimeZone(dtstart.params.TZID) ? dtstart.params.TZID : null;
+    const rrule = prop(event, 'RRULE');
+    if (!rrule) {
+      reminders.push({ uid, name, timezone: zone, time: start.toISOString() });
+      continue;
+    }
+    const rule = ruleFromRrule(rrule.value, start, zone || timeZone);
+    if (typeof rule === 'string') { skipped.push({ uid, name, error: rule }); continue; }
+    const schedule = { ...rule, startDate: start.toISOString() };
+    if (schedule.times) {
+      // the same course at another time of day: same medicine, days, and last day
+      const lastDay = schedule.endDate ? formatLocal(new Date(schedule.endDate), zone || timeZone).slice(0, 8) : '';
+      const key = [name.toLowerCase(), zone, (schedule.weekdays || []).join(','), lastDay].join('|');
+      const existing = merged.get(key);
+      if (existing) {
+        const s = existing.schedule;
+        s.times = [...new Set([...s.times, ...schedule.times])].sort();
+        if (start < new Date(s.startDate)) s.startDate = schedule.startDate;
+        if (schedule.endDate && schedule.endDate > s.endDate) s.endDate = schedule.endDate;
+        continue;
+      }
+      const rem = { uid, name, timezone: zone, schedule };
+      merged.set(key, rem);
+      reminders.push(rem);
+      continue;
+    }
+    reminders.push({ uid, name, timezone: zone, schedule });
+  }
+  return { reminders, skipped };
+}
+
+module.exports = { exportCalendar, importCalendar };
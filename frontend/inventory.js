@@ -0,0 +1,74 @@
+// Medication stock. A reminder can carry
+//   stock: { quantity, perDose, refillDays, alertedAt }
+// quantity is the units on hand (tablets, ml, puffs...), perDose what one dose uses, and refillDays how
+// many days of supply should be left when the refill reminder goes out. alertedAt is set once the refill
+// reminder has been sent and cleared again when the stock is topped up.
+const { occurrencesBetween } = require('./recurrence');
+
+const DAY = 24 * 3600 * 1000;
+const DEFAULT_REFILL_DAYS = Number(process.env.REFILL_DAYS) || 5;
+// projections walk the schedule dose by dose; this bounds the walk for very large quantities
+const MAX_PROJECTED_DOSES = 5000;
+
+// Validate user input (merged over the current stock, if any); throws with a message suitable for a 400
+function normalizeStock(input, current = null, rem = {}) {
+  if (!input || typeof input !== 'object') throw new Error('stock must be an object');
+  const stock = {
+    quantity: current ? current.quantity : 0,
+    perDose: current ? current.perDose : (rem.dose && rem.dose.amount) || 1,
+    refillDays: current ? current.refillDays : DEFAULT_REFILL_DAYS,
+    alertedAt: current ? current.alertedAt : null
+  };
+  if (input.quantity != null) {
+    const q = Number(input.quantity);
+    if (!(q >= 0)) throw new Error('stock.quantity must be zero or more');
+    stock.quantity = q;
+  }
+  if (input.perDose != null) {
+    const p = Number(input.perDose);
+    if (!(p > 0)) throw new Error('stock.perDose must be a positive number');
+    stock.perDose = p;
+  }
+  if (input.refillDays != null) {
+    const d = Number(input.refillDays);
+    if (!(d >= 0) || d > 90) throw new Error('stock.refillDays must be between 0 and 90');
+    stock.refillDays = d;
+  }
+  // topping up (or changing the threshold) re-arms the refill reminder
+  if (!current || stock.quantity > current.quantity || stock.refillDays !== current.refillDays) stock.alertedAt = null;
+  return stock;
+}
+
+// Take (or give back, with a negative count) doses from stock; never goes below zero
+function adjustStock(stock, doses) {
+  const quantity = Math.max(0, Math.round((stock.quantity - doses * stock.perDose) * 1000) / 1000);
+  return { ...stock, quantity, alertedAt: quantity > stock.quantity ? null : stock.alertedAt };
+}
+
+// How long the stock lasts on this reminder's schedule, assuming every upcoming dose is taken.
+//   { quantity, dosesLeft, daysLeft, runsOutAt, refillAt, low }
+// runsOutAt is the first dose that can't be covered; refillAt when the refill reminder is due.
+// Both are null when the course ends before the stock runs short. timeZone is the one the schedule is expanded in.
+function projectSupply(rem, now = new Date(), timeZone) {
+  const stock = rem.stock;
+  if (!stock) return null;
+  const dosesLeft = Math.floor(stock.quantity / stock.perDose + 1e-9);
+  const occurrences = rem.schedule
+    ? occurrencesBetween(rem.schedule, now, new Date(8640000000000000), Math.min(dosesLeft, MAX_PROJECTED_DOSES) + 1, timeZone)
+    : (!rem.fired && new Date(rem.time) > now ? [new Date(rem.time)] : []);
+  const runsOutAt = occurrences.length > dosesLeft ? occurrences[dosesLeft] : null;
+  // the stock covers every dose before runsOutAt, so it first falls short refillDays ahead of it
+  const refillAt = runsOutAt ? new Date(Math.max(now.getTime(), runsOutAt.getTime() - stock.refillDays * DAY)) : null;
+  let daysLeft = null;
+  if (runsOutAt) daysLeft = Math.round(((runsOutAt - now) / DAY) * 10) / 10;
+  return {
+    quantity: stock.quantity,
+    dosesLeft,
+    daysLeft,
+    runsOutAt: runsOutAt ? runsOutAt.toISOString() : null,
+    refillAt: refillAt ? refillAt.toISOString() : null,
+    low: Boolean(refillAt && refillAt <= now)
+  };
+}
+
+module.exports = { DEFAULT_REFILL_DAYS, normalizeStock, adjustStock, projectSupply };
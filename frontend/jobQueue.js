@@ -0,0 +1,84 @@
+// Durable job queue. Jobs live in the store, so they survive restarts:
+//   jobs: { id: '<type>:<key>', type, key, runAt, payload, createdAt }
+// There is at most one job per (type, key); scheduling again replaces it. A single timer is armed for the
+// earliest job and clamped to setTimeout's limit (~24.8 days), so a job can be any distance away.
+// Handlers are called as handler(job, { overdue }); `overdue` is true for jobs that came due while the
+// process was down and were found by start(), which is where callers apply their catch-up policy.
+// Time comes from `clock` (see clock.js), so tests can run the queue on a fake one.
+const { clock: defaultClock } = require('./clock');
+
+// setTimeout overflows past ~24.8 days; longer waits just re-arm when the clamped timer fires
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function createJobQueue({ store, handlers, clock = defaultClock }) {
+  let timer = null;
+  let started = false;
+
+  const jobId = (type, key) => `${type}:${key}`;
+
+  function schedule(type, key, runAt, payload = null) {
+    if (!handlers[type]) throw new Error(`No handler for job type "${type}"`);
+    const job = { id: jobId(type, key), type, key, runAt: new Date(runAt).toISOString(), payload, createdAt: clock.now().toISOString() };
+    if (store.get('jobs', job.id)) store.update('jobs', job.id, job);
+    else store.insert('jobs', job);
+    arm();
+    return job;
+  }
+
+  function cancel(type, key) {
+    if (store.remove('jobs', jobId(type, key))) arm();
+  }
+
+  function get(type, key) {
+    return store.get('jobs', jobId(type, key));
+  }
+
+  function run(job, overdue) {
+    // removed first: handlers often schedule the same (type, key) again for the next occurrence
+    store.remove('jobs', job.id);
+    try {
+      handlers[job.type](job, { overdue });
+    } catch (err) {
+      console.error(`Job ${job.id} failed`, err);
+    }
+  }
+
+  function arm() {
+    if (!started) return;
+    clock.clearTimeout(timer);
+    timer = null;
+    const jobs = store.all('jobs');
+    if (!jobs.length) return;
+    const next = Math.min(...jobs.map(j => new Date(j.runAt).getTime()));
+    timer = clock.setTimeout(runDue, Math.min(Math.max(0, next - clock.now().getTime()), MAX_TIMEOUT));
+  }
+
+  function runDue() {
+    timer = null;
+    const now = clock.now().getTime();
+    store.find('jobs', j => new Date(j.runAt).getTime() <= now)
+      .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))
+      .forEach(job => run(job, false));
+    arm();
+  }
+
+  // Hand every job that came due while stopped to its handler as overdue, then start the timer
+  function start() {
+    const now = clock.now().getTime();
+    store.find('jobs', j => new Date(j.runAt).getTime() <= now)
+      .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))
+      .forEach(job => run(job, true));
+    started = true;
+    arm();
+  }
+
+  function stop() {
+    started = false;
+    clock.clearTimeout(timer);
+    timer = null;
+  }
+
+  return { schedule, cancel, get, start, stop };
+}
+
+module.exports = { createJobQueue, MAX_TIMEOUT };
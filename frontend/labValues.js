@@ -0,0 +1,194 @@
+// Lab value extraction: pulls "Analyte value unit (low-high)" lines out of report text and flags them.
+
+// Default adult reference ranges, used when a report doesn't print its own.
+// `ranges` is keyed by normalised unit. When a report prints no unit, the entry on the same scale as its
+// printed range (or, without one, as the value) is assumed; see defaultRange().
+const ANALYTES = {
+  hemoglobin: { label: 'Hemoglobin', aliases: ['hemoglobin', 'haemoglobin', 'hb', 'hgb'], ranges: { 'g/dl': { low: 12, high: 17.5, criticalLow: 7, criticalHigh: 20 }, 'g/l': { low: 120, high: 175, criticalLow: 70, criticalHigh: 200 } } },
+  hematocrit: { label: 'Hematocrit', aliases: ['hematocrit', 'haematocrit', 'hct', 'pcv', 'packed cell volume'], ranges: { '%': { low: 36, high: 50, criticalLow: 20, criticalHigh: 60 } } },
+  rbc: { label: 'RBC Count', aliases: ['rbc', 'rbc count', 'red blood cell count', 'total rbc count', 'erythrocytes'], ranges: { '10^6/ul': { low: 4.0, high: 5.9 }, 'million/ul': { low: 4.0, high: 5.9 }, 'million/cumm': { low: 4.0, high: 5.9 } } },
+  wbc: { label: 'WBC Count', aliases: ['wbc', 'wbc count', 'total wbc count', 'white blood cell count', 'total leucocyte count', 'total leukocyte count', 'tlc'], ranges: { '10^3/ul': { low: 4.0, high: 11.0, criticalLow: 2.0, criticalHigh: 30.0 }, '/cumm': { low: 4000, high: 11000, criticalLow: 2000, criticalHigh: 30000 }, 'cells/cumm': { low: 4000, high: 11000, criticalLow: 2000, criticalHigh: 30000 } } },
+  platelets: { label: 'Platelet Count', aliases: ['platelet', 'platelets', 'platelet count', 'plt'], ranges: { '10^3/ul': { low: 150, high: 450, criticalLow: 50, criticalHigh: 1000 }, '/cumm': { low: 150000, high: 450000, criticalLow: 50000, criticalHigh: 1000000 }, 'lakh/cumm': { low: 1.5, high: 4.5, criticalLow: 0.5, criticalHigh: 10 } } },
+  mcv: { label: 'MCV', aliases: ['mcv', 'mean corpuscular volume'], ranges: { fl: { low: 80, high: 100 } } },
+  mch: { label: 'MCH', aliases: ['mch', 'mean corpuscular hemoglobin'], ranges: { pg: { low: 27, high: 33 } } },
+  mchc: { label: 'MCHC', aliases: ['mchc', 'mean corpuscular hemoglobin concentration'], ranges: { 'g/dl': { low: 32, high: 36 } } },
+  neutrophils: { label: 'Neutrophils', aliases: ['neutrophils', 'neutrophil', 'polymorphs'], ranges: { '%': { low: 40, high: 75 } } },
+  lymphocytes: { label: 'Lymphocytes', aliases: ['lymphocytes', 'lymphocyte'], ranges: { '%': { low: 20, high: 45 } } },
+  eosinophils: { label: 'Eosinophils', aliases: ['eosinophils', 'eosinophil'], ranges: { '%': { low: 1, high: 6 } } },
+  monocytes: { label: 'Monocytes', aliases: ['monocytes', 'monocyte'], ranges: { '%': { low: 2, high: 10 } } },
+  esr: { label: 'ESR', aliases: ['esr', 'erythrocyte sedimentation rate'], ranges: { 'mm/hr': { low: 0, high: 20 } } },
+  fastingGlucose: { label: 'Fasting Glucose', aliases: ['fasting blood sugar', 'fbs', 'fasting glucose', 'glucose fasting', 'fasting plasma glucose', 'blood sugar fasting'], ranges: { 'mg/dl': { low: 70, high: 100, criticalLow: 40, criticalHigh: 400 }, 'mmol/l': { low: 3.9, high: 5.6, criticalLow: 2.2, criticalHigh: 22 } } },
+  glucose: { label: 'Glucose', aliases: ['glucose', 'blood glucose', 'random blood sugar', 'rbs', 'blood sugar random', 'plasma glucose'], ranges: { 'mg/dl': { low: 70, high: 140, criticalLow: 40, criticalHigh: 400 }, 'mmol/l': { low: 3.9, high: 7.8, criticalLow: 2.2, criticalHigh: 22 } } },
+  hba1c: { label: 'HbA1c', aliases: ['hba1c', 'glycated hemoglobin', 'glycosylated hemoglobin', 'a1c'], ranges: { '%': { low: 4.0, high: 5.6 } } },
+  cholesterol: { label: 'Total Cholesterol', aliases: ['cholesterol', 'total cholesterol', 'serum cholesterol'], ranges: { 'mg/dl': { low: null, high: 200 }, 'mmol/l': { low: null, high: 5.2 } } },
+  ldl: { label: 'LDL Cholesterol', aliases: ['ldl', 'ldl cholesterol', 'ldl-c'], ranges: { 'mg/dl': { low: null, high: 100 }, 'mmol/l': { low: null, high: 2.6 } } },
+  hdl: { label: 'HDL Cholesterol', aliases: ['hdl', 'hdl cholesterol', 'hdl-c'], ranges: { 'mg/dl': { low: 40, high: null }, 'mmol/l': { low: 1.0, high: null } } },
+  triglycerides: { label: 'Triglycerides', aliases: ['triglycerides', 'triglyceride', 'tg'], ranges: { 'mg/dl': { low: null, high: 150, criticalHigh: 1000 }, 'mmol/l': { low: null, high: 1.7, criticalHigh: 11.3 } } },
+  vldl: { label: 'VLDL Cholesterol', aliases: ['vldl', 'vldl cholesterol'], ranges: { 'mg/dl': { low: 5, high: 40 } } },
+  creatinine: { label: 'Creatinine', aliases: ['creatinine', 'serum creatinine', 's. creatinine'], ranges: { 'mg/dl': { low: 0.6, high: 1.3, criticalHigh: 4.0 }, 'umol/l': { low: 53, high: 115, criticalHigh: 354 } } },
+  urea: { label: 'Urea', aliases: ['urea', 'blood urea', 'serum urea'], ranges: { 'mg/dl': { low: 15, high: 45, criticalHigh: 200 } } },
+  bun: { label: 'BUN', aliases: ['bun', 'blood urea nitrogen'], ranges: { 'mg/dl': { low: 7, high: 20, criticalHigh: 100 } } },
+  uricAcid: { label: 'Uric Acid', aliases: ['uric acid', 'serum uric acid'], ranges: { 'mg/dl': { low: 3.5, high: 7.2 } } },
+  sodium: { label: 'Sodium', aliases: ['sodium', 'na', 'serum sodium'], ranges: { 'mmol/l': { low: 135, high: 145, criticalLow: 120, criticalHigh: 160 }, 'meq/l': { low: 135, high: 145, criticalLow: 120, criticalHigh: 160 } } },
+  potassium: { label: 'Potassium', aliases: ['potassium', 'k', 'serum potassium'], ranges: { 'mmol/l': { low: 3.5, high: 5.1, criticalLow: 2.5, criticalHigh: 6.5 }, 'meq/l': { low: 3.5, high: 5.1, criticalLow: 2.5, criticalHigh: 6.5 } } },
+  chloride: { label: 'Chloride', aliases: ['chloride', 'cl', 'serum chloride'], ranges: { 'mmol/l': { low: 98, high: 107 }, 'meq/l': { low: 98, high: 107 } } },
+  calcium: { label: 'Calcium', aliases: ['calcium', 'serum calcium', 'total calcium'], ranges: { 'mg/dl': { low: 8.5, high: 10.5, criticalLow: 6.5, criticalHigh: 13 } } },
+  bilirubin: { label: 'Total Bilirubin', aliases: ['bilirubin', 'total bilirubin', 'bilirubin total', 'serum bilirubin'], ranges: { 'mg/dl': { low: 0.3, high: 1.2, criticalHigh: 15 } } },
+  directBilirubin: { label: 'Direct Bilirubin', aliases: ['direct bilirubin', 'bilirubin direct', 'conjugated bilirubin'], ranges: { 'mg/dl': { low: 0, high: 0.3 } } },
+  alt: { label: 'ALT (SGPT)', aliases: ['alt', 'sgpt', 'alanine aminotransferase', 'alt (sgpt)', 'sgpt (alt)'], ranges: { 'u/l': { low: 7, high: 56 }, 'iu/l': { low: 7, high: 56 } } },
+  ast: { label: 'AST (SGOT)', aliases: ['ast', 'sgot', 'aspartate aminotransferase', 'ast (sgot)', 'sgot (ast)'], ranges: { 'u/l': { low: 10, high: 40 }, 'iu/l': { low: 10, high: 40 } } },
+  alp: { label: 'Alkaline Phosphatase', aliases: ['alp', 'alkaline phosphatase'], ranges: { 'u/l': { low: 44, high: 147 }, 'iu/l': { low: 44, high: 147 } } },
+  ggt: { label: 'GGT', aliases: ['ggt', 'gamma gt', 'gamma glutamyl transferase'], ranges: { 'u/l': { low: 9, high: 48 }, 'iu/l': { low: 9, high: 48 } } },
+  albumin: { label: 'Albumin', aliases: ['albumin', 'serum albumin'], ranges: { 'g/dl': { low: 3.5, high: 5.0 } } },
+  totalProtein: { label: 'Total Protein', aliases: ['total protein', 'serum protein', 'protein total'], ranges: { 'g/dl': { low: 6.0, high: 8.3 } } },
+  tsh: { label: 'TSH', aliases: ['tsh', 'thyroid stimulating hormone'], ranges: { 'uiu/ml': { low: 0.4, high: 4.0 }, 'miu/l': { low: 0.4, high: 4.0 } } },
+  freeT4: { label: 'Free T4', aliases: ['free t4', 'ft4', 'free thyroxine'], ranges: { 'ng/dl': { low: 0.8, high: 1.8 } } },
+  t3: { label: 'T3', aliases: ['t3', 'total t3', 'triiodothyronine'], ranges: { 'ng/dl': { low: 80, high: 200 } } },
+  t4: { label: 'T4', aliases: ['t4', 'total t4', 'thyroxine'], ranges: { 'ug/dl': { low: 5, high: 12 } } },
+  vitaminD: { label: 'Vitamin D', aliases: ['vitamin d', '25-oh vitamin d', 'vitamin d3', '25 hydroxy vitamin d'], ranges: { 'ng/ml': { low: 30, high: 100 } } },
+  vitaminB12: { label: 'Vitamin B12', aliases: ['vitamin b12', 'b12', 'cobalamin'], ranges: { 'pg/ml': { low: 200, high: 900 } } },
+  ferritin: { label: 'Ferritin', aliases: ['ferritin', 'serum ferritin'], ranges: { 'ng/ml': { low: 20, high: 300 } } },
+  iron: { label: 'Iron', aliases: ['iron', 'serum iron'], ranges: { 'ug/dl': { low: 60, high: 170 } } },
+  crp: { label: 'CRP', aliases: ['crp', 'c-reactive protein', 'c reactive protein'], ranges: { 'mg/l': { low: 0, high: 10 } } }
+};
+
+// "Hemoglobin : 10.2 L g/dL (13.0-17.0)" -> name, value, flag, unit, rest of line
+const LINE_RE = /^([a-z][a-z0-9 ().,'/-]*?)\s*[:=]?\s+([<>]\s*)?(\d[\d,]*(?:\.\d+)?)\s*(\*|\b(?:h|l|high|low)\b)?\s*((?:x?\s?10\^?\d+|[a-zµμ%/])[^\s()[\]]*)?\s*(.*)$/i;
+const RANGE_RE = /(\d+(?:\.\d+)?)\s*(?:-|–|—|to)\s*(\d+(?:\.\d+)?)/i;
+const UPPER_RE = /(?:<|≤|less than|up to|upto)\s*=?\s*(\d+(?:\.\d+)?)/i;
+const LOWER_RE = /(?:>|≥|more than|greater than)\s*=?\s*(\d+(?:\.\d+)?)/i;
+const CRITICAL_MARK_RE = /\b(critical|panic)\b|\*\*/i;
+// "Sample collected: 2025-02-20" would otherwise read as 2025 with a range of 02-20
+const DATE_RE = /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}\b/;
+// what a lab unit looks like once normalised: a ratio, percentage or power, or one of a few bare units.
+// Without one, "Lab No 1234 Ref 12-34" would read as an analyte called "Lab No" in "Ref".
+const UNIT_RE = /[/%^]|^(fl|pg|iu|u|sec|secs|seconds|ratio)$/;
+
+function normaliseName(name) {
+  return name.toLowerCase().replace(/[:]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function normaliseUnit(unit) {
+  if (!unit) return null;
+  return unit.toLowerCase()
+    .replace(/[µμ]/g, 'u')
+    .replace(/^x\s?/, '')
+    .replace(/cells\/cu\.?\s?mm|\/cu\.?\s?mm|\/mm3/, '/cumm')
+    .replace(/^10(\d)\//, '10^$1/')
+    .replace(/^10\^3\/(ul|mm3)$/, '10^3/ul')
+    .replace(/^(thou|k)\/ul$/, '10^3/ul')
+    .replace(/^mill\/cumm$/, 'million/cumm');
+}
+
+// Longest alias wins so "HDL Cholesterol" resolves to hdl rather than cholesterol
+function findAnalyte(name) {
+  const n = normaliseName(name);
+  let best = null;
+  for (const [key, def] of Object.entries(ANALYTES)) {
+    for (const alias of def.aliases) {
+      const re = new RegExp(`(^|[^a-z0-9])${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`);
+      if ((n === alias || re.test(n)) && (!best || alias.length > best.alias.length)) best = { key, alias };
+    }
+  }
+  return best ? best.key : null;
+}
+
+function parseRange(text) {
+  let m = text.match(RANGE_RE);
+  if (m) return { low: parseFloat(m[1]), high: parseFloat(m[2]) };
+  m = text.match(UPPER_RE);
+  if (m) return { low: null, high: parseFloat(m[1]) };
+  m = text.match(LOWER_RE);
+  if (m) return { low: parseFloat(m[1]), high: null };
+  return null;
+}
+
+// Bounds within a factor of 3 of each other, e.g. 4000-11000 against the /cumm table but not 10^3/ul
+function sameScale(table, printed) {
+  const pairs = [[table.low, printed.low], [table.high, printed.high]].filter(([a, b]) => a > 0 && b > 0);
+  return pairs.length > 0 && pairs.every(([a, b]) => a / b < 3 && b / a < 3);
+}
+
+// A value within a factor of 10 of the normal range
+function onScale(table, value) {
+  return value > 0 && (table.low == null || value >= table.low / 10) && (table.high == null || value <= table.high * 10);
+}
+
+// The table entry ({ unit, low, high, criticalLow?, criticalHigh? }) for the printed unit. Without a unit the
+// scale has to match, so a lab that reports WBC per cumm isn't judged against the 10^3/ul limits.
+function defaultRange(analyte, unit, printed, value) {
+  const def = ANALYTES[analyte];
+  if (!def) return null;
+  const entries = Object.entries(def.ranges);
+  const match = unit
+    ? entries.find(([key]) => key === normaliseUnit(unit))
+    : entries.find(([, range]) => (printed ? sameScale(range, printed) : onScale(range, value)));
+  return match ? { unit: match[0], ...match[1] } : null;
+}
+
+// low | normal | high | critical, using the table's critical limits when the units match
+function flagValue(value, range, critical) {
+  if (!range) return { flag: 'unknown', direction: null };
+  let direction = null;
+  if (range.low != null && value < range.low) direction = 'low';
+  else if (range.high != null && value > range.high) direction = 'high';
+  if (critical && ((critical.criticalLow != null && value <= critical.criticalLow) || (critical.criticalHigh != null && value >= critical.criticalHigh))) {
+    return { flag: 'critical', direction: direction || (value <= critical.criticalLow ? 'low' : 'high') };
+  }
+  return { flag: direction || 'normal', direction };
+}
+
+function parseLine(line) {
+  const m = line.match(LINE_RE);
+  if (!m) return null;
+  const [, rawName, comparator, rawValue, printedFlag, unit, rest] = m;
+  const name = rawName.replace(/[\s:.-]+$/, '').trim();
+  const analyte = findAnalyte(name);
+  const printed = parseRange(rest || '');
+  const lateFlag = (rest || '').match(/^\s*(\*|h|l|high|low)\b/i);
+  // a name we don't know needs both a unit and a printed range to count, so phone numbers, lab numbers
+  // and dates on the letterhead stay out
+  if (!analyte && (!printed || !UNIT_RE.test(normaliseUnit(unit) || '') || DATE_RE.test(`${rawValue}${unit || ''}${rest || ''}`))) return null;
+  const value = parseFloat(rawValue.replace(/,/g, ''));
+  if (Number.isNaN(value)) return null;
+
+  const fallback = analyte ? defaultRange(analyte, unit, printed, value) : null;
+  const range = printed || fallback;
+  const result = flagValue(value, range, fallback);
+  if (CRITICAL_MARK_RE.test(line) && result.flag !== 'normal') result.flag = 'critical';
+  // if we have no usable range, trust the lab's own H/L marker
+  const marker = (printedFlag || (lateFlag && lateFlag[1]) || '').toLowerCase();
+  if (result.flag === 'unknown' && marker) result.flag = marker.startsWith('h') ? 'high' : marker.startsWith('l') ? 'low' : 'unknown';
+
+  return {
+    name: analyte ? ANALYTES[analyte].label : name,
+    printedName: name,
+    analyte,
+    value,
+    comparator: comparator ? comparator.trim() : null,
+    unit: unit || (fallback && !printed ? fallback.unit : null),
+    referenceRange: range ? { low: range.low, high: range.high, source: printed ? 'report' : 'default' } : null,
+    flag: result.flag,
+    direction: result.direction,
+    line
+  };
+}
+
+function parseLabValues(text) {
+  const lines = text.split(/\r?\n/).map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const values = [];
+  for (const line of lines) {
+    const parsed = parseLine(line);
+    if (parsed) values.push(parsed);
+  }
+  return values;
+}
+
+// Worst flag across a set of values: Critical > Abnormal > Normal
+function overallStatus(values) {
+  if (values.some(v => v.flag === 'critical')) return 'Critical';
+  if (values.some(v => v.flag === 'low' || v.flag === 'high')) return 'Abnormal';
+  return 'Normal';
+}
+
+module.exports = { ANALYTES, parseLabValues, parseLine, flagValue, findAnalyte, overallStatus };
@@ -0,0 +1,86 @@
+// Import data from the two legacy reminder backends into the configured store.
+//   STORAGE=sqlite node migrate.js [--json db.json] [--sqlite data.db]
+// Without flags, db.json and data.db next to this file are imported if they exist.
+// Records whose id is already in the store are skipped, so running it twice is harmless.
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./storage');
+
+const COLLECTIONS = ['users', 'reminders', 'doses', 'reports', 'subscriptions', 'caregivers', 'deliveries', 'jobs', 'courses'];
+
+// Legacy rows used `medName` and an absolute `filePath`; the merged schema uses `name` and a `/uploads/...` toneFile.
+// Everything else on the row (owner, timezone, stock, course, dose details, import ids...) is kept as it is.
+function normalizeLegacyReminder(row, now = new Date()) {
+  const { medName, filePath, ...rest } = row;
+  const rem = {
+    ...rest,
+    name: row.name || medName,
+    type: row.type || 'alarm',
+    tone: row.tone || null,
+    toneFile: row.toneFile || (filePath ? `/uploads/${path.basename(filePath)}` : null),
+    createdAt: row.createdAt || now.toISOString()
+  };
+  if (rem.schedule) delete rem.time;
+  // old one-off rows never recorded firing; anything in the past is treated as done
+  rem.fired = rem.schedule ? false : Boolean(row.fired) || new Date(row.time) <= now;
+  return rem;
+}
+
+function readLegacyJson(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const out = {};
+  for (const name of COLLECTIONS) out[name] = data[name] || [];
+  out.reminders = out.reminders.map(r => normalizeLegacyReminder(r));
+  return out;
+}
+
+function readLegacySqlite(filePath) {
+  const Database = require('better-sqlite3');
+  const db = new Database(filePath, { readonly: true, fileMustExist: true });
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+  const out = { reminders: [], subscriptions: [] };
+  if (tables.includes('reminders')) {
+    out.reminders = db.prepare('SELECT * FROM reminders').all().map(r => normalizeLegacyReminder(r));
+  }
+  if (tables.includes('subscriptions')) {
+    out.subscriptions = db.prepare('SELECT * FROM subscriptions').all()
+      .map(s => ({ id: s.id, endpoint: s.endpoint, keys: JSON.parse(s.keys || '{}'), createdAt: s.createdAt }));
+  }
+  db.close();
+  return out;
+}
+
+// Returns { [collection]: { imported, skipped } }
+function importInto(store, records) {
+  const counts = {};
+  for (const [name, docs] of Object.entries(records)) {
+    counts[name] = { imported: 0, skipped: 0 };
+    for (const doc of docs) {
+      if (!doc.id || store.get(name, doc.id)) { counts[name].skipped++; continue; }
+      store.insert(name, doc);
+      counts[name].imported++;
+    }
+  }
+  return counts;
+}
+
+function main(argv) {
+  const arg = flag => { const i = argv.indexOf(flag); return i === -1 ? null : argv[i + 1]; };
+  const jsonPath = path.resolve(arg('--json') || path.join(__dirname, 'db.json'));
+  const sqlitePath = path.resolve(arg('--sqlite') || path.join(__dirname, 'data.db'));
+  const store = createStore();
+
+  if (fs.existsSync(jsonPath)) {
+    console.log(`Importing ${jsonPath}`);
+    console.log(importInto(store, readLegacyJson(jsonPath)));
+  }
+  if (fs.existsSync(sqlitePath)) {
+    console.log(`Importing ${sqlitePath}`);
+    console.log(importInto(store, readLegacySqlite(sqlitePath)));
+  }
+  store.close();
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { normalizeLegacyReminder, readLegacyJson, readLegacySqlite, importInto };
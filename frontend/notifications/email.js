@@ -0,0 +1,49 @@
+const { DeliveryError } = require('./errors');
+
+// Email over SMTP. Configure with SMTP_HOST / SMTP_PORT (plus SMTP_USER / SMTP_PASS when the server
+// needs auth). For local testing point it at any SMTP stand-in, e.g. MailHog on port 1025.
+// The target is the address from the user's preferences, or their account email, once it is confirmed:
+// neither is checked when it is entered, and mail must not go to someone who never asked for it.
+function createEmailChannel({ host, port, secure = false, user, pass, from }) {
+  const configured = Boolean(host);
+  let transporter = null;
+
+  function transport() {
+    if (!transporter) {
+      // required lazily so the server runs without nodemailer when email isn't configured
+      const nodemailer = require('nodemailer');
+      transporter = nodemailer.createTransport({
+        host,
+        port: port || (secure ? 465 : 587),
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: 10 * 1000
+      });
+    }
+    return transporter;
+  }
+
+  return {
+    name: 'email',
+    configured,
+    targets(account, preferences) {
+      const address = preferences.emailAddress || account.email;
+      return address && address === preferences.emailConfirmed ? [address] : [];
+    },
+    async send(address, message) {
+      try {
+        await transport().sendMail({
+          from,
+          to: address,
+          subject: message.title,
+          text: `${message.body}\n\n— Medicine Reminder`
+        });
+      } catch (err) {
+        // 5xx replies (unknown mailbox, relay denied) are final; connection problems and 4xx are retried
+        throw new DeliveryError(err && err.message, { permanent: err && err.responseCode >= 500 });
+      }
+    }
+  };
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,12 @@
+// Thrown by channels. `permanent` failures are not retried; `expired` means the target itself is gone
+// (e.g. a push subscription the browser dropped) and the channel should forget it.
+class DeliveryError extends Error {
+  constructor(message, { permanent = false, expired = false } = {}) {
+    super(message || 'delivery failed');
+    this.name = 'DeliveryError';
+    this.permanent = permanent || expired;
+    this.expired = expired;
+  }
+}
+
+module.exports = { DeliveryError };
@@ -0,0 +1,118 @@
+// Notification dispatcher. Each message is fanned out to the channels the user has switched on,
+// one delivery per target (a push subscription, an email address, a webhook URL):
+//   deliveries: { id, userId, channel, target, kind, title, body, data,
+//                 status: pending|sent|failed|expired, attempts, lastError, nextAttemptAt, createdAt, sentAt }
+// Failed attempts are retried with growing delays until RETRY_DELAYS runs out. Pending retries are
+// stored, so resume() picks them up again after a restart.
+// A channel is { name, configured, targets(user, preferences) -> [target], send(target, message), expire?(target) }.
+const { v4: uuidv4 } = require('uuid');
+const { clock: defaultClock } = require('../clock');
+
+const RETRY_DELAYS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+const KEEP_DAYS = 30;
+
+// emailConfirmed is the address whose owner entered the code mailed to it; only that address gets email
+const DEFAULT_PREFERENCES = { push: true, email: false, emailAddress: null, emailConfirmed: null, webhook: false, webhookUrl: null };
+
+function preferencesFor(user) {
+  return { ...DEFAULT_PREFERENCES, ...((user && user.notifications) || {}) };
+}
+
+function createDispatcher({ store, channels, retryDelays = RETRY_DELAYS, clock = defaultClock }) {
+  const byName = Object.fromEntries(channels.map(c => [c.name, c]));
+  const timers = new Map();
+
+  function scheduleRetry(delivery) {
+    if (timers.has(delivery.id)) clock.clearTimeout(timers.get(delivery.id));
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - clock.now().getTime());
+    timers.set(delivery.id, clock.setTimeout(() => { timers.delete(delivery.id); attempt(delivery.id); }, delay));
+  }
+
+  async function attempt(id) {
+    const delivery = store.get('deliveries', id);
+    if (!delivery || delivery.status !== 'pending') return delivery;
+    const channel = byName[delivery.channel];
+    const attempts = delivery.attempts + 1;
+    if (!channel) return store.update('deliveries', id, { status: 'failed', attempts, lastError: `unknown channel ${delivery.channel}`, nextAttemptAt: null });
+    try {
+      await channel.send(delivery.target, { kind: delivery.kind, title: delivery.title, body: delivery.body, data: delivery.data });
+      return store.update('deliveries', id, { status: 'sent', attempts, lastError: null, nextAttemptAt: null, sentAt: clock.now().toISOString() });
+    } catch (err) {
+      const lastError = (err && err.message) || 'delivery failed';
+      if (err && err.expired) {
+        if (channel.expire) channel.expire(delivery.target);
+        console.warn(`Removed expired ${channel.name} target ${delivery.target}`);
+        return store.update('deliveries', id, { status: 'expired', attempts, lastError, nextAttemptAt: null });
+      }
+      if ((err && err.permanent) || attempts > retryDelays.length) {
+        console.warn(`Giving up on ${channel.name} delivery ${id}: ${lastError}`);
+        return store.update('deliveries', id, { status: 'failed', attempts, lastError, nextAttemptAt: null });
+      }
+      const updated = store.update('deliveries', id, { attempts, lastError, nextAttemptAt: new Date(clock.now().getTime() + retryDelays[attempts - 1]).toISOString() });
+      scheduleRetry(updated);
+      return updated;
+    }
+  }
+
+  // message: { kind: 'reminder' | 'refill' | 'missed' | 'test', title, body, data }
+  // Resolves with the deliveries after their first attempt.
+  async function send(userId, message) {
+    const user = store.get('users', userId);
+    if (!user) return [];
+    const preferences = preferencesFor(user);
+    const attempts = [];
+    for (const channel of channels) {
+      if (!preferences[channel.name] || !channel.configured) continue;
+      for (const target of channel.targets(user, preferences)) {
+        const delivery = store.insert('deliveries', {
+          id: uuidv4(),
+          userId,
+          channel: channel.name,
+          target,
+          kind: message.kind,
+          title: message.title,
+          body: message.body,
+          data: message.data || null,
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: null,
+          createdAt: clock.now().toISOString(),
+          sentAt: null
+        });
+        attempts.push(attempt(delivery.id));
+      }
+    }
+    return Promise.all(attempts);
+  }
+
+  // One message to one target, outside the user's preferences and the delivery log: for one-time codes,
+  // which shouldn't be kept or retried. Rejects when the channel isn't set up or the send fails.
+  async function sendNow(channelName, target, message) {
+    const channel = byName[channelName];
+    if (!channel || !channel.configured) throw new Error(`${channelName} is not set up on this server`);
+    await channel.send(target, message);
+  }
+
+  // Re-arm retries left pending by a restart and drop finished deliveries older than KEEP_DAYS
+  function resume() {
+    const cutoff = clock.now().getTime() - KEEP_DAYS * 24 * 3600 * 1000;
+    for (const d of store.all('deliveries')) {
+      if (d.status === 'pending') {
+        if (d.nextAttemptAt) scheduleRetry(d);
+        else attempt(d.id);
+      } else if (new Date(d.createdAt).getTime() < cutoff) {
+        store.remove('deliveries', d.id);
+      }
+    }
+  }
+
+  function stop() {
+    timers.forEach(t => clock.clearTimeout(t));
+    timers.clear();
+  }
+
+  return { send, sendNow, resume, stop, channels: byName };
+}
+
+module.exports = { createDispatcher, preferencesFor, DEFAULT_PREFERENCES, RETRY_DELAYS };
@@ -0,0 +1,34 @@
+const webpush = require('web-push');
+const { DeliveryError } = require('./errors');
+
+// Web push to each of the user's browser subscriptions. Targets are subscription ids; a 404/410 from
+// the push service means the browser dropped the subscription, so it is removed from the store.
+function createWebPushChannel({ store, publicKey, privateKey, subject }) {
+  const configured = Boolean(publicKey && privateKey);
+  if (configured) webpush.setVapidDetails(subject, publicKey, privateKey);
+
+  return {
+    name: 'push',
+    configured,
+    targets(user) {
+      return store.find('subscriptions', s => s.userId === user.id).map(s => s.id);
+    },
+    async send(subscriptionId, message) {
+      const sub = store.get('subscriptions', subscriptionId);
+      if (!sub) throw new DeliveryError('subscription no longer exists', { expired: true });
+      try {
+        await webpush.sendNotification({ endpoint: sub.endpoint, keys: sub.keys }, JSON.stringify(message));
+      } catch (err) {
+        const status = err && err.statusCode;
+        if (status === 404 || status === 410) throw new DeliveryError(`subscription expired (${status})`, { expired: true });
+        // other 4xx (bad payload, bad VAPID details) won't get better on retry; 429 and 5xx might
+        throw new DeliveryError(err && err.message, { permanent: status >= 400 && status < 500 && status !== 429 });
+      }
+    },
+    expire(subscriptionId) {
+      store.remove('subscriptions', subscriptionId);
+    }
+  };
+}
+
+module.exports = { createWebPushChannel };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { DeliveryError } = require('./errors');
+const { clock } = require('../clock');
+
+const TIMEOUT_MS = 10 * 1000;
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254), shared and multicast ranges:
+// webhooks must not reach into the server's own network
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Throws a permanent DeliveryError when the URL's host is, or resolves to, a private address. Called when
+// the URL is saved and again before every send, since DNS can change in between.
+async function checkWebhookUrl(url) {
+  let host;
+  try { host = new URL(url).hostname.replace(/^\[|\]$/g, ''); } catch (e) { throw new DeliveryError('webhook URL is invalid', { permanent: true }); }
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(a => a.address);
+  } catch (err) {
+    throw new DeliveryError(`webhook host ${host} could not be resolved`);
+  }
+  if (addresses.some(isPrivateAddress)) throw new DeliveryError(`webhook host ${host} is a private address`, { permanent: true });
+}
+
+// POSTs the message as JSON to the URL in the user's preferences. With WEBHOOK_SECRET set, the body is
+// signed and the HMAC-SHA256 hex digest sent as `X-Signature-256: sha256=<digest>`.
+function createWebhookChannel({ secret } = {}) {
+  return {
+    name: 'webhook',
+    configured: true,
+    targets(account, preferences) {
+      return preferences.webhookUrl ? [preferences.webhookUrl] : [];
+    },
+    async send(url, message) {
+      const body = JSON.stringify({ event: message.kind, ...message, sentAt: clock.now().toISOString() });
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      await checkWebhookUrl(url);
+      let res;
+      try {
+        // redirects aren't followed: they could lead anywhere, so a 3xx counts as a rejection
+        res = await fetch(url, { method: 'POST', headers, body, redirect: 'manual', signal: AbortSignal.timeout(TIMEOUT_MS) });
+      } catch (err) {
+        throw new DeliveryError(err && err.message);
+      }
+      if (!res.ok) {
+        // the receiver rejected it; only throttling and server errors are worth retrying
+        throw new DeliveryError(`webhook responded ${res.status}`, { permanent: res.status < 500 && res.status !== 408 && res.status !== 429 });
+      }
+    }
+  };
+}
+
+module.exports = { createWebhookChannel, checkWebhookUrl, isPrivateAddress };
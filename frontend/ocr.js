@@ -0,0 +1,85 @@
+// Offline OCR for prescription photos and scans. Everything runs locally:
+// - images go through tesseract.js, with language data read from disk (never a CDN)
+// - PDFs use their text layer when they have one, otherwise each page is rendered with
+//   poppler's `pdftoppm` and OCR'd like an image
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const pdfParse = require('pdf-parse');
+
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+const PDF_DPI = 300;
+const PDF_MAX_PAGES = 5;
+
+// Language data: OCR_LANG_PATH (a folder holding <lang>.traineddata or .traineddata.gz),
+// or else the @tesseract.js-data/<lang> npm package
+function languageData() {
+  const dir = process.env.OCR_LANG_PATH;
+  if (dir) return { langPath: dir, gzip: fs.existsSync(path.join(dir, `${OCR_LANG}.traineddata.gz`)) };
+  try {
+    const pkg = require(`@tesseract.js-data/${OCR_LANG}`);
+    return { langPath: pkg.langPath, gzip: pkg.gzip };
+  } catch (e) {
+    throw new Error(`No OCR language data for "${OCR_LANG}": set OCR_LANG_PATH or install @tesseract.js-data/${OCR_LANG}`);
+  }
+}
+
+// one worker for the life of the process; creating it loads the model, which is slow
+let workerPromise = null;
+
+function getWorker() {
+  if (!workerPromise) {
+    const { createWorker } = require('tesseract.js');
+    workerPromise = createWorker(OCR_LANG, 1, { ...languageData(), cacheMethod: 'none' })
+      .catch(err => { workerPromise = null; throw err; });
+  }
+  return workerPromise;
+}
+
+async function recognizeImage(buffer) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(buffer);
+  return { text: data.text || '', confidence: Math.round(data.confidence) };
+}
+
+// Render the first pages of a PDF to PNG buffers with pdftoppm
+function renderPdfPages(buffer) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rx-ocr-'));
+  const input = path.join(dir, 'input.pdf');
+  fs.writeFileSync(input, buffer);
+  return new Promise((resolve, reject) => {
+    execFile('pdftoppm', ['-r', String(PDF_DPI), '-l', String(PDF_MAX_PAGES), '-png', input, path.join(dir, 'page')], { timeout: 60 * 1000 }, err => {
+      try {
+        if (err) {
+          return reject(err.code === 'ENOENT'
+            ? new Error('This PDF has no text layer and pdftoppm (poppler-utils) is not installed to render it for OCR')
+            : err);
+        }
+        const pages = fs.readdirSync(dir).filter(f => f.endsWith('.png')).sort()
+          .map(f => fs.readFileSync(path.join(dir, f)));
+        resolve(pages);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
+
+// file: { originalname, mimetype, buffer } -> { text, source: 'pdf-text' | 'ocr', confidence }
+// confidence is tesseract's mean word confidence (0-100), or null for text-layer PDFs
+async function extractPrescriptionText(file) {
+  if (file.mimetype === 'application/pdf') {
+    const data = await pdfParse(file.buffer);
+    if (data.text && data.text.trim()) return { text: data.text, source: 'pdf-text', confidence: null };
+    const pages = await renderPdfPages(file.buffer);
+    const results = [];
+    for (const page of pages) results.push(await recognizeImage(page));
+    const confidence = results.length ? Math.round(results.reduce((sum, r) => sum + r.confidence, 0) / results.length) : 0;
+    return { text: results.map(r => r.text).join('\n'), source: 'ocr', confidence };
+  }
+  const { text, confidence } = await recognizeImage(file.buffer);
+  return { text, source: 'ocr', confidence };
+}
+
+module.exports = { extractPrescriptionText, recognizeImage };
@@ -0,0 +1,193 @@
+// Prescription sig parser. Understands the forms doctors actually write, e.g.
+//   "Amoxicillin 500mg TDS x 5 days", "Tab. Metformin 500 mg 1-0-1 after food",
+//   "Salbutamol inhaler 2 puffs q6h PRN", "Atorvastatin 20mg at bedtime for 30 days",
+// and the original "Paracetamol 2 tablets every 8 hours" / "Take 1 tablet of Aspirin at 09:00".
+
+// Default clock times for a number of doses per day
+const DEFAULT_TIMES = {
+  1: ['08:00'],
+  2: ['08:00', '20:00'],
+  3: ['08:00', '14:00', '20:00'],
+  4: ['08:00', '12:00', '16:00', '20:00']
+};
+const BEDTIME = '22:00';
+
+// Latin / shorthand frequency codes, first match wins
+const FREQUENCY_CODES = [
+  { re: /\b(od|qd|o\.d\.|q\.d\.|once daily|once a day)\b/, timesPerDay: 1 },
+  { re: /\b(bd|bid|b\.d\.|b\.i\.d\.|twice daily|twice a day)\b/, timesPerDay: 2 },
+  { re: /\b(tds|tid|t\.d\.s\.|t\.i\.d\.|thrice daily|three times (a|per) day|three times daily)\b/, timesPerDay: 3 },
+  { re: /\b(qds|qid|q\.i\.d\.|four times (a|per) day|four times daily)\b/, timesPerDay: 4 },
+  { re: /\b(hs|h\.s\.|at bedtime|at night before sleep|before bed|nocte)\b/, times: [BEDTIME] },
+  { re: /\b(qam|mane|in the morning|every morning)\b/, times: ['08:00'] },
+  { re: /\b(qpm|at night|every night|in the evening|every evening)\b/, times: ['20:00'] },
+  { re: /\b(once a week|weekly|once weekly)\b/, everyHours: 168 },
+  // a bare "daily" last: it is also part of "twice daily", "at bedtime daily", ...
+  { re: /\b(daily)\b/, timesPerDay: 1 }
+];
+
+const FORM_PREFIX_RE = /^(\d+[.)]\s*|[-*•]\s*|rx:?\s*)?(tab(let)?s?\.?|cap(sule)?s?\.?|syp\.?|syrup|inj\.?|injection|oint\.?|drops?)?\s*/i;
+const STRENGTH_RE = /(\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)?)\s*(mg|mcg|µg|ug|g|ml|iu|units?|%)(?![a-z])/i;
+const DOSE_RE = /(\d+\s*\/\s*[1-9]\d*|\d+(?:\.\d+)?|½|one|two|three|half)\s*(tabs?|tablets?|caps?|capsules?|pills?|puffs?|drops?|teaspoons?|tsp|sachets?)\b/i;
+const SLOTS_RE = /(?:^|\s)([0-4½](?:\.5)?)\s*-\s*([0-4½](?:\.5)?)\s*-\s*([0-4½](?:\.5)?)(?:\s*-\s*([0-4½](?:\.5)?))?(?=\s|$|[,;(])/;
+const INTERVAL_RE = /\b(?:q\s*(\d+)\s*h(?:rs?|ours?)?|every\s*(\d+)\s*(?:hours?|hrs?|h)|(\d+)\s*(?:hourly|hrly))\b/i;
+const TIMES_PER_DAY_RE = /\b(\d)\s*(?:x|times)\s*(?:a|per|\/)?\s*(?:day|daily|d)\b/i;
+const AT_TIME_RE = /\b([01]?\d|2[0-3])(?::([0-5]\d)\s*(am|pm)?|\s*(am|pm))\b/gi;
+const PRN_RE = /\b(prn|p\.r\.n\.|sos|s\.o\.s\.|as needed|as required|when required|if needed|when needed)\b/i;
+const DURATION_RE = /(?:\bfor\s*|\bx\s*|×\s*)(\d+)\s*(days?|d|weeks?|wks?|w|months?|m)\b|\b(\d+)\/(7|52)\b/i;
+const MEAL_TIMINGS = [
+  { re: /\b(after (food|meals?|breakfast|lunch|dinner)|p\.?c\.?|post[- ]?prandial)\b/i, timing: 'after food' },
+  { re: /\b(before (food|meals?|breakfast|lunch|dinner)|a\.?c\.?|empty stomach|pre[- ]?prandial)\b/i, timing: 'before food' },
+  { re: /\b(with (food|meals?|milk))\b/i, timing: 'with food' }
+];
+// words that end the medicine name
+const NAME_STOP_RE = /^([\d½]|(take|tab(let)?s?|caps?(ule)?s?|pills?|puffs?|drops?|every|at|for|x|after|before|with|once|twice|thrice|od|qd|bd|bid|tds|tid|qds|qid|hs|prn|sos|q\d|stat|daily|morning|night|bedtime|as|when|if|orally|po|by|mouth)\b)/i;
+const FORMS = { tab: 'tablet', tablet: 'tablet', tabs: 'tablet', tablets: 'tablet', cap: 'capsule', caps: 'capsule', capsule: 'capsule', capsules: 'capsule', syp: 'syrup', syrup: 'syrup', inj: 'injection', injection: 'injection', oint: 'ointment', drop: 'drop', drops: 'drop' };
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, half: 0.5, '½': 0.5 };
+
+function toNumber(s) {
+  if (s == null) return null;
+  const lower = String(s).toLowerCase();
+  if (lower in WORD_NUMBERS) return WORD_NUMBERS[lower];
+  // "1/2", "3/4"
+  const fraction = lower.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+  return parseFloat(lower.replace('½', '.5'));
+}
+
+function to24h(hh, mm, meridiem) {
+  let h = parseInt(hh, 10);
+  if (meridiem) {
+    const pm = meridiem.toLowerCase() === 'pm';
+    if (pm && h < 12) h += 12;
+    if (!pm && h === 12) h = 0;
+  }
+  return `${String(h).padStart(2, '0')}:${mm}`;
+}
+
+function parseName(line) {
+  // "Take 1 tablet of Aspirin at 09:00"
+  const of = line.match(/\btake\b.*?\bof\s+(.+)$/i);
+  const source = of ? of[1] : line.replace(/^take\s+/i, '');
+  const words = [];
+  for (const word of source.split(/\s+/)) {
+    if (NAME_STOP_RE.test(word) || STRENGTH_RE.test(word)) break;
+    words.push(word);
+  }
+  const name = words.join(' ').replace(/[,;:.\-]+$/, '').trim();
+  return /[a-z]{2}/i.test(name) ? name : null;
+}
+
+function parseFrequency(lower) {
+  const slots = lower.match(SLOTS_RE);
+  if (slots) {
+    const values = slots.slice(1).filter(v => v != null).map(toNumber);
+    const slotTimes = values.length === 4 ? ['08:00', '13:00', '18:00', BEDTIME] : ['08:00', '14:00', '20:00'];
+    const times = slotTimes.filter((t, i) => values[i] > 0);
+    if (times.length) return { code: slots.slice(1).filter(v => v != null).join('-'), timesPerDay: times.length, times, slotDose: Math.max(...values) };
+  }
+  const interval = lower.match(INTERVAL_RE);
+  if (interval) {
+    const hours = parseInt(interval[1] || interval[2] || interval[3], 10);
+    if (hours > 0) return { code: `q${hours}h`, everyHours: hours, timesPerDay: 24 / hours };
+  }
+  const atTimes = [...lower.matchAll(AT_TIME_RE)].map(m => to24h(m[1], m[2] || '00', m[3] || m[4]));
+  if (atTimes.length) return { code: 'at', times: [...new Set(atTimes)].sort(), timesPerDay: atTimes.length, explicitTimes: true };
+  const perDay = lower.match(TIMES_PER_DAY_RE);
+  if (perDay) {
+    const n = parseInt(perDay[1], 10);
+    return n <= 4 ? { code: `${n}x/day`, timesPerDay: n, times: DEFAULT_TIMES[n] } : { code: `${n}x/day`, timesPerDay: n, everyHours: 24 / n };
+  }
+  for (const f of FREQUENCY_CODES) {
+    const m = lower.match(f.re);
+    if (!m) continue;
+    if (f.everyHours) return { code: m[1], everyHours: f.everyHours, timesPerDay: Math.round((24 / f.everyHours) * 100) / 100 };
+    const times = f.times || DEFAULT_TIMES[f.timesPerDay];
+    return { code: m[1], timesPerDay: times.length, times };
+  }
+  return null;
+}
+
+function parseDuration(lower) {
+  const m = lower.match(DURATION_RE);
+  if (!m) return null;
+  if (m[3]) return m[4] === '7' ? parseInt(m[3], 10) : parseInt(m[3], 10) * 7;
+  const n = parseInt(m[1], 10);
+  const unit = m[2][0];
+  if (unit === 'w') return n * 7;
+  if (unit === 'm') return n * 30;
+  return n;
+}
+
+// One line -> item (or null when nothing medication-like was found)
+function parseLine(line) {
+  const formMatch = line.match(FORM_PREFIX_RE);
+  const form = formMatch && formMatch[2] ? FORMS[formMatch[2].replace(/\.$/, '').toLowerCase()] : null;
+  const body = line.slice(formMatch ? formMatch[0].length : 0).trim();
+  const lower = body.toLowerCase();
+
+  const name = parseName(body);
+  const strengthMatch = body.match(STRENGTH_RE);
+  const strength = strengthMatch ? `${strengthMatch[1].replace(/\s+/g, '')} ${strengthMatch[2].toLowerCase()}` : null;
+  const frequency = parseFrequency(lower);
+  const doseMatch = body.match(DOSE_RE);
+  let dose = null;
+  if (doseMatch) {
+    const unit = doseMatch[2].toLowerCase();
+    dose = { amount: toNumber(doseMatch[1]), unit: FORMS[unit] || unit.replace(/s$/, '') };
+  }
+  else if (frequency && frequency.slotDose) dose = { amount: frequency.slotDose, unit: form || 'tablet' };
+  const prn = PRN_RE.test(lower);
+  const durationDays = parseDuration(lower);
+  const meal = MEAL_TIMINGS.find(t => t.re.test(lower));
+  const timing = meal ? meal.timing : null;
+
+  if (!name || (!frequency && !strength && !dose && !prn)) return null;
+
+  const missing = [];
+  if (!frequency && !prn) missing.push('frequency');
+  if (!dose && !strength) missing.push('dose');
+  if (!durationDays && !prn) missing.push('duration');
+
+  let confidence = 0.3;
+  if (frequency) confidence += 0.35;
+  else if (prn) confidence += 0.2;
+  if (dose || strength) confidence += 0.15;
+  if (durationDays) confidence += 0.1;
+  if (timing || form) confidence += 0.1;
+
+  const item = {
+    name,
+    form,
+    strength,
+    dose,
+    count: dose ? dose.amount : 1,
+    frequency: frequency ? { code: frequency.code, timesPerDay: frequency.timesPerDay } : null,
+    everyHours: frequency && frequency.everyHours ? frequency.everyHours : null,
+    times: frequency && frequency.times ? frequency.times : null,
+    timing,
+    durationDays,
+    prn,
+    confidence: Math.round(Math.min(confidence, 1) * 100) / 100,
+    missing,
+    line
+  };
+  // kept for older clients that only know about a single clock time
+  if (frequency && frequency.explicitTimes && frequency.times.length === 1) item.atTime = frequency.times[0];
+  return item;
+}
+
+// Returns { parsed: [items], unparsed: [{ line, reason }] }
+function parsePrescription(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const parsed = [];
+  const unparsed = [];
+  for (const line of lines) {
+    const item = parseLine(line);
+    if (item) parsed.push(item);
+    else unparsed.push({ line, reason: 'no medicine name with a dose, strength or frequency found' });
+  }
+  return { parsed, unparsed };
+}
+
+module.exports = { parsePrescription, parseLine, DEFAULT_TIMES };
@@ -0,0 +1,133 @@
+// Recurrence rules for reminders. A rule is either interval based or fixed times of day:
+//   { everyHours: 8, startDate, endDate?, days?, weekdays? }
+//   { times: ['08:00', '20:00'], startDate, endDate?, days?, weekdays? }
+// weekdays uses Date#getDay() numbering (0 = Sunday). days counts from startDate; endDate wins if both are set.
+// The end is exclusive: a 1-day course of every 8h from 06:00 is 06:00, 14:00 and 22:00.
+// Fixed times and weekdays are wall-clock time in the time zone passed in (see timezones.js), so "08:00"
+// stays at 08:00 across DST changes. everyHours counts real hours, so every 8h stays 8h apart.
+const { DEFAULT_TIMEZONE, zonedParts, zonedTime, parseInZone } = require('./timezones');
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+// shortest everyHours interval, in minutes
+const MIN_INTERVAL = 15;
+
+function isValidDate(d) {
+  return d instanceof Date && !Number.isNaN(d.getTime());
+}
+
+// Validate user input and return a clean rule; throws with a message suitable for a 400 response.
+// Dates without an offset are read in `timeZone`; without a startDate the rule starts at `now`.
+function normalizeRule(input, timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  if (!input || typeof input !== 'object') throw new Error('schedule must be an object');
+  const rule = {};
+  const start = input.startDate ? parseInZone(input.startDate, timeZone) : now;
+  if (!isValidDate(start)) throw new Error('schedule.startDate is not a valid date');
+  rule.startDate = start.toISOString();
+
+  if (input.everyHours != null) {
+    // whole minutes and at least MIN_INTERVAL apart, so a rule can't flood the scheduler
+    const minutes = Number(input.everyHours) * 60;
+    if (!(Math.abs(minutes - Math.round(minutes)) < 1e-6) || Math.round(minutes) < MIN_INTERVAL || minutes > 24 * 31 * 60) {
+      throw new Error(`schedule.everyHours must be between ${MIN_INTERVAL / 60} and ${24 * 31} hours, in whole minutes`);
+    }
+    rule.everyHours = Math.round(minutes) / 60;
+  } else if (Array.isArray(input.times) && input.times.length) {
+    const times = input.times.map(t => String(t).trim());
+    const bad = times.find(t => !TIME_RE.test(t));
+    if (bad) throw new Error(`schedule.times has an invalid time "${bad}" (expected HH:MM)`);
+    rule.times = [...new Set(times.map(t => t.padStart(5, '0')))].sort();
+  } else {
+    throw new Error('schedule needs everyHours or times');
+  }
+
+  if (input.weekdays != null) {
+    if (!Array.isArray(input.weekdays) || !input.weekdays.length || input.weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error('schedule.weekdays must be a list of day numbers 0 (Sun) to 6 (Sat)');
+    }
+    rule.weekdays = [...new Set(input.weekdays)].sort();
+  }
+
+  if (input.endDate != null) {
+    const end = parseInZone(input.endDate, timeZone);
+    if (!isValidDate(end) || end < start) throw new Error('schedule.endDate must be a date after startDate');
+    rule.endDate = end.toISOString();
+  } else if (input.days != null) {
+    const days = Number(input.days);
+    if (!(days > 0)) throw new Error('schedule.days must be a positive number');
+    rule.days = days;
+  }
+  return rule;
+}
+
+function ruleEnd(rule) {
+  if (rule.endDate) return new Date(rule.endDate);
+  if (rule.days) return new Date(new Date(rule.startDate).getTime() + rule.days * DAY);
+  return null;
+}
+
+function allowedDay(rule, weekday) {
+  return !rule.weekdays || rule.weekdays.includes(weekday);
+}
+
+// First occurrence strictly after `after`, or null once the rule has ended
+function nextOccurrence(rule, after, timeZone = DEFAULT_TIMEZONE) {
+  const start = new Date(rule.startDate);
+  const end = ruleEnd(rule);
+  const from = after < start ? new Date(start.getTime() - 1) : after;
+
+  if (rule.everyHours) {
+    const step = rule.everyHours * HOUR;
+    let t = new Date(start.getTime() + Math.max(0, Math.floor((from - start) / step) + 1) * step);
+    // on a day the weekdays leave out, jump to the first dose from midnight of the next allowed day;
+    // give up after a year
+    while (t - from <= 366 * DAY) {
+      if (end && t >= end) return null;
+      const parts = zonedParts(t, timeZone);
+      if (allowedDay(rule, parts.weekday)) return t;
+      let skip = 1;
+      while (!allowedDay(rule, (parts.weekday + skip) % 7)) skip++;
+      const midnight = zonedTime(parts.year, parts.month, parts.day + skip, 0, 0, timeZone);
+      t = new Date(start.getTime() + Math.ceil((midnight - start) / step) * step);
+    }
+    return null;
+  }
+
+  // walk calendar days in the zone; Date.UTC is only used for the calendar arithmetic
+  const today = zonedParts(from, timeZone);
+  for (let i = 0; i < 372; i++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    if (allowedDay(rule, day.getUTCDay())) {
+      for (const time of rule.times) {
+        const [hh, mm] = time.split(':').map(n => parseInt(n, 10));
+        const t = zonedTime(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hh, mm, timeZone);
+        if (t < start || t <= from) continue;
+        if (end && t >= end) return null;
+        return t;
+      }
+    }
+  }
+  return null;
+}
+
+// Occurrences in (from, to], capped at `limit`
+function occurrencesBetween(rule, from, to, limit = 100, timeZone = DEFAULT_TIMEZONE) {
+  const list = [];
+  let t = nextOccurrence(rule, from, timeZone);
+  while (t && t <= to && list.length < limit) {
+    list.push(t);
+    t = nextOccurrence(rule, t, timeZone);
+  }
+  return list;
+}
+
+function describeRule(rule) {
+  const parts = [rule.everyHours ? `every ${rule.everyHours}h` : `at ${rule.times.join(', ')}`];
+  if (rule.weekdays) parts.push(`on ${rule.weekdays.map(d => ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][d]).join(', ')}`);
+  const end = ruleEnd(rule);
+  if (end) parts.push(`until ${end.toISOString().slice(0, 10)}`);
+  return parts.join(' ');
+}
+
+module.exports = { normalizeRule, nextOccurrence, occurrencesBetween, ruleEnd, describeRule };
@@ -1,3 +1,32 @@
+const API_BASE = 'http://localhost:3000';
+
+// API calls carry the token saved by the login page (index.html); a missing or expired one goes back there
+const authToken = localStorage.getItem('authToken') || sessionStorage.getItem('authToken');
+
+function toLogin() {
+    localStorage.removeItem('authToken');
+    sessionStorage.removeItem('authToken');
+    window.location.href = 'index.html';
+}
+
+async function apiFetch(path, options = {}) {
+    const res = await fetch(`${API_BASE}${path}`, {
+        ...options,
+        headers: { ...(options.headers || {}), Authorization: `Bearer ${authToken}` }
+    });
+    if (res.status === 401) toLogin();
+    return res;
+}
+
+if (!authToken) toLogin();
+
+// File names and report text are user content: escape them before they go into innerHTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
 // State Management
 const state = {
     files: [],
@@ -74,7 +103,7 @@ function renderFileList() {
             <div class="file-info">
                 <div class="file-icon">${fileIcon}</div>
                 <div class="file-details">
-                    <div class="file-name">${file.name}</div>
+                    <div class="file-name">${escapeHtml(file.name)}</div>
                     <div class="file-size">${fileSize} KB</div>
                 </div>
             </div>
@@ -104,6 +133,10 @@ function updateButtonStates() {
     clearBtn.disabled = !hasFiles;
 }
 
+document.getElementById('pdfBtn').addEventListener('click', () => {
+    if (state.reportData) downloadReport(`/api/reports/${state.reportData.id}/pdf`, `report-${state.reportData.id}.pdf`);
+});
+
 clearBtn.addEventListener('click', () => {
     state.files = [];
     fileInput.value = '';
@@ -115,74 +148,70 @@ clearBtn.addEventListener('click', () => {
 // Analysis
 analyzeBtn.addEventListener('click', analyzeReport);
 
-function analyzeReport() {
+async function analyzeReport() {
     loadingState.classList.add('active');
     placeholder.style.display = 'none';
     reportContent.classList.remove('active');
     successMessage.classList.remove('active');
 
-    // Simulate API call
-    setTimeout(() => {
-        state.reportData = generateMockReport();
+    const formData = new FormData();
+    state.files.forEach(file => formData.append('files', file, file.name));
+
+    try {
+        const res = await apiFetch(`/api/analyze-report`, { method: 'POST', body: formData });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        state.reportData = { ...data, uploadDate: new Date(data.analyzedAt).toLocaleDateString() };
         displayReport(state.reportData);
-        
-        loadingState.classList.remove('active');
+        loadHistory();
+
         reportContent.classList.add('active');
         successMessage.classList.add('active');
 
         setTimeout(() => {
             successMessage.classList.remove('active');
         }, 4000);
-    }, 2000);
+    } catch (e) {
+        console.error('Analysis failed', e);
+        alert(`Analysis failed: ${e.message}`);
+        resetReport();
+    } finally {
+        loadingState.classList.remove('active');
+    }
 }
 
-function generateMockReport() {
-    const fileNames = state.files.map(f => f.name).join(', ');
-    
-    return {
-        fileName: fileNames,
-        uploadDate: new Date().toLocaleDateString(),
-        reportType: 'Medical Imaging Report',
-        status: 'Normal',
-        confidence: '94%',
-        summary: `This AI analysis of your medical report "${fileNames}" indicates healthy results with no critical findings detected. All measured parameters fall within normal ranges.`,
-        details: `The report has been analyzed using advanced machine learning algorithms. Key areas examined include:
-        
-        • Patient Information: Verified and complete
-        • Medical History: Reviewed and summarized
-        • Test Results: All values within normal limits
-        • Imaging Analysis: No abnormalities detected
-        • Clinical Recommendations: Routine follow-up recommended
-        
-        The analysis was performed with 94% confidence level using the latest medical AI models.`,
-        findings: [
-            '✓ All vital signs within normal range',
-            '✓ No acute findings detected',
-            '✓ Previous conditions stable',
-            '→ Continue current medication as prescribed',
-            '→ Schedule routine follow-up in 6 months'
-        ]
-    };
+const FLAG_LABELS = { critical: 'CRITICAL', high: 'HIGH', low: 'LOW', normal: 'Normal', unknown: 'No range' };
+const FLAG_ORDER = { critical: 0, high: 1, low: 1, unknown: 2, normal: 3 };
+
+function formatRange(range) {
+    if (!range) return 'no reference range';
+    const text = range.low == null ? `< ${range.high}` : range.high == null ? `> ${range.low}` : `${range.low}–${range.high}`;
+    return range.source === 'default' ? `ref ${text}, default` : `ref ${text}`;
 }
 
-function displayReport(data) {
+function displayReport(data, files = state.files) {
+    const labValues = data.labValues || [];
+    const outOfRange = labValues.filter(v => v.flag !== 'normal' && v.flag !== 'unknown').length;
+    const statusLabel = labValues.length ? `Overall Status · ${outOfRange} of ${labValues.length} values out of range` : 'Overall Status';
+
     // Summary Tab
     const metricsContainer = document.getElementById('metricsContainer');
     metricsContainer.innerHTML = `
-        <div class="metric-card">
-            <div class="metric-value">${data.status}</div>
-            <div class="metric-label">Overall Status</div>
+        <div class="metric-card status-${escapeHtml(data.status.toLowerCase())}">
+            <div class="metric-value">${escapeHtml(data.status)}</div>
+            <div class="metric-label">${statusLabel}</div>
         </div>
         <div class="metric-card">
-            <div class="metric-value">${data.confidence}</div>
+            <div class="metric-value">${escapeHtml(data.confidence)}</div>
             <div class="metric-label">AI Confidence</div>
         </div>
         <div class="metric-card">
-            <div class="metric-value">${data.reportType}</div>
+            <div class="metric-value">${escapeHtml(data.reportType)}</div>
             <div class="metric-label">Report Type</div>
         </div>
         <div class="metric-card">
-            <div class="metric-value">${data.uploadDate}</div>
+            <div class="metric-value">${escapeHtml(data.uploadDate)}</div>
             <div class="metric-label">Analysis Date</div>
         </div>
     `;
@@ -192,13 +221,17 @@ function displayReport(data) {
     if (summaryText) summaryText.textContent = data.summary || data.details || '';
 
     // Report Tab: show file previews / raw report
-    populateReportView(state.files);
+    populateReportView(files);
 
-    // Findings Tab
+    // Findings Tab: extracted lab values first (worst first), then other remarks from the text
     const findingsList = document.getElementById('findingsList');
-    findingsList.innerHTML = data.findings
-        .map(finding => `<li><span class="finding-indicator">•</span> ${finding}</li>`)
-        .join('');
+    const labItems = [...labValues]
+        .sort((a, b) => FLAG_ORDER[a.flag] - FLAG_ORDER[b.flag])
+        .map(v => `<li class="flag-${escapeHtml(v.flag)}"><span class="flag-badge">${escapeHtml(FLAG_LABELS[v.flag])}</span> <strong>${escapeHtml(v.name)}</strong> ${escapeHtml(v.comparator)}${escapeHtml(v.value)} ${escapeHtml(v.unit)} <span class="finding-range">(${escapeHtml(formatRange(v.referenceRange))})</span></li>`);
+    const otherItems = data.findings
+        .map(finding => `<li><span class="finding-indicator">•</span> ${escapeHtml(finding)}</li>`);
+    const items = [...labItems, ...otherItems];
+    findingsList.innerHTML = items.length ? items.join('') : '<li>No results could be extracted from this report.</li>';
 }
 
 function populateReportView(files) {
@@ -267,6 +300,136 @@ function resetReport() {
     state.reportData = null;
 }
 
+// History & trends
+async function loadHistory() {
+    const historyList = document.getElementById('historyList');
+    const trendCharts = document.getElementById('trendCharts');
+    try {
+        const [reports, trends] = await Promise.all([
+            apiFetch(`/api/reports`).then(r => r.json()),
+            apiFetch(`/api/reports/trends`).then(r => r.json())
+        ]);
+        renderHistory(reports);
+        renderTrends(trends);
+    } catch (e) {
+        console.error('Could not load history', e);
+        historyList.textContent = 'History is unavailable while the server is offline.';
+        trendCharts.innerHTML = '';
+    }
+}
+
+function renderHistory(reports) {
+    const historyList = document.getElementById('historyList');
+    historyList.innerHTML = '';
+    if (!reports.length) {
+        historyList.textContent = 'No past analyses yet.';
+        return;
+    }
+
+    reports.forEach(report => {
+        const item = document.createElement('div');
+        item.className = `history-item status-${report.status.toLowerCase()}`;
+        const date = new Date(report.reportDate || report.analyzedAt).toLocaleDateString();
+        item.innerHTML = `
+            <div>
+                <div class="file-name">${escapeHtml(date)} · ${escapeHtml(report.reportType)}</div>
+                <div class="file-size">${escapeHtml(report.status)} · ${report.outOfRange} of ${report.valueCount} values out of range · ${escapeHtml(report.fileName)}</div>
+            </div>
+            <div class="history-actions">
+                <button class="tab-btn" data-action="open">Open</button>
+                <button class="tab-btn" data-action="fhir">FHIR</button>
+                <button class="tab-btn" data-action="pdf">PDF</button>
+                <button class="remove-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('[data-action="open"]').addEventListener('click', () => openHistoryReport(report.id));
+        item.querySelector('[data-action="fhir"]').addEventListener('click', () => downloadReport(`/api/fhir/reports/${report.id}`, `report-${report.id}.fhir.json`));
+        item.querySelector('[data-action="pdf"]').addEventListener('click', () => downloadReport(`/api/reports/${report.id}/pdf`, `report-${report.id}.pdf`));
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => deleteHistoryReport(report.id));
+        historyList.appendChild(item);
+    });
+}
+
+async function openHistoryReport(id) {
+    try {
+        const res = await apiFetch(`/api/reports/${id}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        state.reportData = { ...data, uploadDate: new Date(data.analyzedAt).toLocaleDateString() };
+        placeholder.style.display = 'none';
+        displayReport(state.reportData, []);
+        reportContent.classList.add('active');
+    } catch (e) {
+        console.error(e);
+        alert('Could not open that report');
+    }
+}
+
+// Copies for sharing with a clinic: a FHIR DiagnosticReport bundle or a printable PDF
+async function downloadReport(path, name) {
+    try {
+        const res = await apiFetch(path);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await res.blob());
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (e) {
+        console.error(e);
+        alert('Could not export that report');
+    }
+}
+
+async function deleteHistoryReport(id) {
+    if (!confirm('Delete this analysis from your history?')) return;
+    await apiFetch(`/api/reports/${id}`, { method: 'DELETE' });
+    loadHistory();
+}
+
+function renderTrends(trends) {
+    const trendCharts = document.getElementById('trendCharts');
+    const series = Object.values(trends).filter(t => t.points.length > 1);
+    if (!series.length) {
+        trendCharts.textContent = 'Trends appear once an analyte shows up in two or more reports.';
+        return;
+    }
+    trendCharts.innerHTML = series.map(trendChart).join('');
+}
+
+// Small inline SVG line chart; the shaded band is the latest reference range
+function trendChart(trend) {
+    const width = 300, height = 120, pad = 24;
+    const values = trend.points.map(p => p.value);
+    const range = trend.referenceRange || {};
+    const bounds = [...values, range.low, range.high].filter(v => v != null);
+    let min = Math.min(...bounds), max = Math.max(...bounds);
+    if (min === max) { min -= 1; max += 1; }
+    const x = i => pad + (i * (width - 2 * pad)) / (trend.points.length - 1);
+    const y = v => height - pad - ((v - min) * (height - 2 * pad)) / (max - min);
+
+    const band = (range.low != null || range.high != null)
+        ? `<rect class="trend-band" x="${pad}" width="${width - 2 * pad}" y="${y(range.high != null ? range.high : max)}" height="${y(range.low != null ? range.low : min) - y(range.high != null ? range.high : max)}"></rect>`
+        : '';
+    const line = `<polyline class="trend-line" points="${trend.points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')}"></polyline>`;
+    const dots = trend.points.map((p, i) => `
+        <circle class="trend-point flag-${escapeHtml(p.flag)}${p.change ? ` change-${escapeHtml(p.change)}` : ''}" cx="${x(i)}" cy="${y(p.value)}" r="${p.change === 'out-of-range' ? 6 : 4}">
+            <title>${new Date(p.date).toLocaleDateString()}: ${escapeHtml(p.value)} ${escapeHtml(p.unit)} (${escapeHtml(p.flag)})${p.change ? ` — ${escapeHtml(p.change.replace(/-/g, ' '))}` : ''}</title>
+        </circle>`).join('');
+    const first = new Date(trend.points[0].date).toLocaleDateString();
+    const last = new Date(trend.points[trend.points.length - 1].date).toLocaleDateString();
+    const moved = trend.points.some(p => p.change === 'out-of-range');
+
+    return `
+        <div class="trend-card${moved ? ' trend-alert' : ''}">
+            <div class="file-name">${escapeHtml(trend.name)} <span class="file-size">${escapeHtml(trend.unit)}</span>${moved ? ' <span class="flag-badge">Moved out of range</span>' : ''}</div>
+            <svg viewBox="0 0 ${width} ${height}" class="trend-svg">${band}${line}${dots}
+                <text x="${pad}" y="${height - 4}" class="trend-axis">${first}</text>
+                <text x="${width - pad}" y="${height - 4}" class="trend-axis" text-anchor="end">${last}</text>
+            </svg>
+        </div>`;
+}
+
 // Tab Switching
 tabButtons.forEach(button => {
     button.addEventListener('click', () => {
@@ -282,3 +445,4 @@ tabButtons.forEach(button => {
 
 // Initialize
 updateButtonStates();
+loadHistory();
@@ -0,0 +1,148 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { parseLabValues, overallStatus } = require('./labValues');
+
+// Keywords used to guess what kind of report a document is. The type with the most hits wins.
+const REPORT_TYPES = [
+  { name: 'Complete Blood Count', keywords: ['hemoglobin', 'haemoglobin', 'wbc', 'rbc', 'platelet', 'hematocrit', 'neutrophils', 'lymphocytes', 'mcv', 'mch'] },
+  { name: 'Lipid Profile', keywords: ['cholesterol', 'triglycerides', 'hdl', 'ldl', 'vldl'] },
+  { name: 'Liver Function Test', keywords: ['bilirubin', 'alt', 'ast', 'sgpt', 'sgot', 'alkaline phosphatase', 'albumin', 'ggt'] },
+  { name: 'Kidney Function Test', keywords: ['creatinine', 'urea', 'bun', 'uric acid', 'egfr'] },
+  { name: 'Thyroid Profile', keywords: ['tsh', 't3', 't4', 'thyroxine', 'triiodothyronine'] },
+  { name: 'Blood Glucose Report', keywords: ['glucose', 'hba1c', 'fasting blood sugar', 'postprandial'] },
+  { name: 'Urinalysis', keywords: ['urine', 'pus cells', 'epithelial cells', 'specific gravity', 'ketones'] },
+  { name: 'Radiology Report', keywords: ['x-ray', 'ct scan', 'mri', 'ultrasound', 'impression', 'radiograph', 'opacity', 'lesion'] }
+];
+
+// Markers labs and radiologists use to call out a result
+const CRITICAL_RE = /\b(critical|panic|urgent)\b/i;
+const ABNORMAL_RE = /(\b(high|low|abnormal|positive|reactive|elevated|decreased|raised)\b|\s[HL]\s*$|\s[HL]\s|\*)/i;
+const NORMAL_RE = /\b(no abnormalit(y|ies)|within normal limits|unremarkable|no acute|normal study|negative)\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_LINE_RE = /\b(collect(ed|ion)|sampl(e|ed)|report(ed)?|receiv(ed)?|date)\b/i;
+
+// Date the sample was taken, so history is ordered by when the tests happened rather than when they were uploaded
+function detectReportDate(text) {
+  for (const line of text.split(/\r?\n/)) {
+    if (!DATE_LINE_RE.test(line)) continue;
+    let m = line.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (m) return toIsoDate(+m[1], +m[2], +m[3]);
+    m = line.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+    if (m) return toIsoDate(+m[3], +m[2], +m[1]);
+    m = line.match(/\b(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s-,]+(\d{4})\b/i);
+    if (m && MONTHS.includes(m[2].toLowerCase())) return toIsoDate(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1]);
+  }
+  return null;
+}
+
+function toIsoDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return new Date(Date.UTC(year, month - 1, day)).toISOString();
+}
+
+async function extractText(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (file.mimetype === 'text/plain' || ext === '.txt') {
+    return file.buffer.toString('utf8');
+  }
+  if (file.mimetype === 'application/pdf' || ext === '.pdf') {
+    const data = await pdfParse(file.buffer);
+    return data.text || '';
+  }
+  // images have no text layer to read
+  return '';
+}
+
+function detectReportType(text) {
+  const lower = text.toLowerCase();
+  let best = { name: 'Medical Report', hits: 0 };
+  for (const type of REPORT_TYPES) {
+    const hits = type.keywords.filter(k => new RegExp(`\\b${k}\\b`).test(lower)).length;
+    if (hits > best.hits) best = { name: type.name, hits };
+  }
+  return best;
+}
+
+// Keyword pass over the lines the lab value parser didn't claim (impressions, remarks, qualitative results)
+function analyzeText(text, labLines) {
+  const lines = text.split(/\r?\n/).map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const critical = [];
+  const abnormal = [];
+  const normal = [];
+  for (const line of lines) {
+    if (labLines.has(line)) continue;
+    if (CRITICAL_RE.test(line)) critical.push(line);
+    else if (NORMAL_RE.test(line)) normal.push(line);
+    else if (ABNORMAL_RE.test(line) && /\d/.test(line)) abnormal.push(line);
+  }
+  return { lines, critical, abnormal, normal };
+}
+
+// Analyse uploaded files ({ originalname, mimetype, buffer }) into the shape displayReport() renders
+async function analyzeFiles(files) {
+  const sources = [];
+  for (const file of files) {
+    let text = '';
+    let error = null;
+    try { text = await extractText(file); }
+    catch (err) { error = err.message; }
+    sources.push({ name: file.originalname, text, error });
+  }
+  const unreadable = sources.filter(s => !s.text.trim());
+  const text = sources.map(s => s.text).join('\n');
+  const fileName = sources.map(s => s.name).join(', ');
+  const analyzedAt = new Date().toISOString();
+
+  if (!text.trim()) {
+    return {
+      fileName, analyzedAt,
+      reportType: 'Unknown',
+      status: 'Unreadable',
+      confidence: '0%',
+      summary: `No text could be read from "${fileName}". Upload a text file or a PDF with selectable text.`,
+      details: unreadable.map(s => `• ${s.name}: ${s.error || 'no text layer found'}`).join('\n'),
+      findings: [],
+      labValues: []
+    };
+  }
+
+  const type = detectReportType(text);
+  const labValues = parseLabValues(text);
+  const { lines, critical, abnormal, normal } = analyzeText(text, new Set(labValues.map(v => v.line)));
+  const labStatus = overallStatus(labValues);
+  let status = 'Normal';
+  if (critical.length || labStatus === 'Critical') status = 'Critical';
+  else if (abnormal.length || labStatus === 'Abnormal') status = 'Abnormal';
+
+  const findings = [
+    ...critical.map(l => `⚠ ${l}`),
+    ...abnormal.map(l => `↑↓ ${l}`),
+    ...normal.map(l => `✓ ${l}`)
+  ];
+
+  // confidence reflects how much of the upload we could read and how clearly it matched a report type
+  const readRatio = (sources.length - unreadable.length) / sources.length;
+  const confidence = Math.round(Math.min(95, (40 + type.hits * 10 + Math.min(labValues.length, 10) * 3) * readRatio));
+
+  const outOfRange = labValues.filter(v => v.flag !== 'normal' && v.flag !== 'unknown');
+  const criticalCount = critical.length + labValues.filter(v => v.flag === 'critical').length;
+  const flagged = abnormal.length + critical.length + outOfRange.length;
+  const summary = flagged
+    ? `${type.name} "${fileName}": ${flagged} result${flagged === 1 ? '' : 's'} flagged outside the expected range${criticalCount ? `, including ${criticalCount} marked critical` : ''}. Review the Key Findings tab and discuss them with your doctor.`
+    : `${type.name} "${fileName}": no results were flagged as abnormal in the ${lines.length} lines read.`;
+
+  const details = [
+    `Files read: ${sources.length - unreadable.length} of ${sources.length}`,
+    ...unreadable.map(s => `• ${s.name}: ${s.error || 'no text layer found'}`),
+    `Lines analysed: ${lines.length}`,
+    `Lab values extracted: ${labValues.length} (${outOfRange.length} out of range, ${labValues.filter(v => v.referenceRange && v.referenceRange.source === 'default').length} checked against default ranges)`,
+    `Other remarks: ${critical.length} critical, ${abnormal.length} abnormal, ${normal.length} explicitly normal`
+  ].join('\n');
+
+  const reportDate = detectReportDate(text);
+
+  return { fileName, analyzedAt, reportDate, reportType: type.name, status, confidence: `${confidence}%`, summary, details, findings, labValues };
+}
+
+module.exports = { extractText, analyzeFiles };
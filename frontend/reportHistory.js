@@ -0,0 +1,50 @@
+// Report history: per-analyte series across stored analyses, oldest first.
+
+const OUT_OF_RANGE = ['low', 'high', 'critical'];
+
+function reportTime(report) {
+  return new Date(report.reportDate || report.analyzedAt).getTime();
+}
+
+// Summary row for the history list (stored reports keep their full lab values)
+function summarizeReport(report) {
+  const labValues = report.labValues || [];
+  return {
+    id: report.id,
+    fileName: report.fileName,
+    reportType: report.reportType,
+    status: report.status,
+    reportDate: report.reportDate || null,
+    analyzedAt: report.analyzedAt,
+    valueCount: labValues.length,
+    outOfRange: labValues.filter(v => OUT_OF_RANGE.includes(v.flag)).length
+  };
+}
+
+// { [analyte]: { name, unit, referenceRange, points: [{ reportId, date, value, flag, change }] } }
+// change is 'out-of-range' when a value leaves its range since the previous report, 'back-in-range' when it returns.
+function buildTrends(reports) {
+  const trends = {};
+  const sorted = [...reports].sort((a, b) => reportTime(a) - reportTime(b));
+  for (const report of sorted) {
+    for (const v of report.labValues || []) {
+      if (!v.analyte) continue;
+      const trend = trends[v.analyte] || (trends[v.analyte] = { name: v.name, unit: v.unit, referenceRange: v.referenceRange, points: [] });
+      const prev = trend.points[trend.points.length - 1];
+      let change = null;
+      if (prev) {
+        const wasOut = OUT_OF_RANGE.includes(prev.flag);
+        const isOut = OUT_OF_RANGE.includes(v.flag);
+        if (!wasOut && isOut) change = 'out-of-range';
+        else if (wasOut && !isOut && v.flag === 'normal') change = 'back-in-range';
+      }
+      trend.points.push({ reportId: report.id, date: new Date(reportTime(report)).toISOString(), value: v.value, unit: v.unit, flag: v.flag, change });
+      // the latest report's range is the one drawn on the chart
+      if (v.referenceRange) trend.referenceRange = v.referenceRange;
+      if (v.unit) trend.unit = v.unit;
+    }
+  }
+  return trends;
+}
+
+module.exports = { summarizeReport, buildTrends };
@@ -0,0 +1,257 @@
+// Printable PDFs built with pdfkit: a single report analysis, and a visit summary that puts recent
+// reports next to the current medications for a doctor's appointment.
+// The standard PDF fonts only cover Latin-1, so text goes through plain() first.
+const PDFDocument = require('pdfkit');
+
+const FLAG_LABELS = { critical: 'CRITICAL', high: 'HIGH', low: 'LOW', normal: 'Normal', unknown: 'No range' };
+const FLAG_ORDER = { critical: 0, high: 1, low: 1, unknown: 2, normal: 3 };
+const FLAG_COLORS = { critical: '#b91c1c', high: '#c2410c', low: '#c2410c' };
+const STATUS_COLORS = { Critical: '#b91c1c', Abnormal: '#c2410c', Normal: '#16a34a' };
+const ACCENT = '#3264A8';
+const MUTED = '#4b5563';
+const DISCLAIMER = 'This document was generated automatically from uploaded report text and the reminder schedule. ' +
+  'Values may have been read incorrectly and reference ranges may not suit every patient. It is not a diagnosis or ' +
+  'medical advice: review the original reports and discuss the results with a qualified healthcare professional.';
+
+// Findings from reportAnalyzer are prefixed with a symbol for their category
+const FINDING_PREFIXES = [['⚠ ', 'Critical'], ['↑↓ ', 'Abnormal'], ['✓ ', 'Normal']];
+
+function plain(text) {
+  return String(text == null ? '' : text)
+    .replace(/[–—]/g, '-').replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/[µμ]/g, 'u')
+    .replace(/[^\x09\x0a\x0d\x20-\x7e\xa0-\xff•]/g, '');
+}
+
+function formatRange(range) {
+  if (!range) return 'no reference range';
+  const text = range.low == null ? `< ${range.high}` : range.high == null ? `> ${range.low}` : `${range.low} - ${range.high}`;
+  return range.source === 'default' ? `${text} (default)` : text;
+}
+
+function formatDate(value, timeZone, withTime = false) {
+  if (!value) return '-';
+  const options = withTime ? { dateStyle: 'medium', timeStyle: 'short', timeZone } : { dateStyle: 'medium', timeZone };
+  return new Date(value).toLocaleString('en-GB', options);
+}
+
+function splitFinding(finding) {
+  const match = FINDING_PREFIXES.find(([prefix]) => finding.startsWith(prefix));
+  return match ? { category: match[1], text: finding.slice(match[0].length) } : { category: '', text: finding };
+}
+
+// Collects the pdfkit stream into a Buffer
+function render(build) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+      build(doc);
+      footer(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function bottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > bottom(doc)) doc.addPage();
+}
+
+function header(doc, title, patient, timeZone, generatedAt) {
+  doc.fillColor(ACCENT).font('Helvetica-Bold').fontSize(20).text(plain(title));
+  doc.moveDown(0.2).fillColor(MUTED).font('Helvetica').fontSize(10)
+    .text(plain(`${patient.name ? `${patient.name} (${patient.email})` : patient.email}  ·  generated ${formatDate(generatedAt, timeZone, true)}`));
+  doc.moveDown(0.5);
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).strokeColor('#e6e9ee').stroke();
+  doc.moveDown(0.8);
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 50);
+  doc.moveDown(0.6).fillColor(ACCENT).font('Helvetica-Bold').fontSize(13).text(plain(text));
+  doc.moveDown(0.3).fillColor('black').font('Helvetica').fontSize(10);
+}
+
+function paragraph(doc, text, color = 'black') {
+  doc.fillColor(color).font('Helvetica').fontSize(10).text(plain(text), { lineGap: 2 });
+}
+
+// Boxes with a big value and a label underneath, like the Summary tab's metric cards
+function metrics(doc, items) {
+  const left = doc.page.margins.left;
+  const gap = 10;
+  const width = (doc.page.width - left - doc.page.margins.right - gap * (items.length - 1)) / items.length;
+  const top = doc.y;
+  items.forEach(({ value, label, color }, i) => {
+    const x = left + i * (width + gap);
+    doc.roundedRect(x, top, width, 66, 6).strokeColor('#e6e9ee').stroke();
+    doc.fillColor(color || 'black').font('Helvetica-Bold').fontSize(11).text(plain(value), x + 8, top + 8, { width: width - 16, height: 28, ellipsis: true });
+    doc.fillColor(MUTED).font('Helvetica').fontSize(8).text(plain(label), x + 8, top + 38, { width: width - 16, height: 22, ellipsis: true });
+  });
+  doc.x = left;
+  doc.y = top + 78;
+}
+
+// columns: [{ header, width (fraction of the page), value(row), color?(row) }]
+function table(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const total = doc.page.width - left - doc.page.margins.right;
+  const widths = columns.map(c => c.width * total);
+  const drawRow = (cells, font, colors = []) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: widths[i] - 8 }))) + 8;
+    if (doc.y + height > bottom(doc)) {
+      doc.addPage();
+      if (font !== 'Helvetica-Bold') drawRow(columns.map(c => c.header), 'Helvetica-Bold');
+      doc.font(font).fontSize(9);
+    }
+    const top = doc.y;
+    let x = left;
+    cells.forEach((text, i) => {
+      doc.fillColor(colors[i] || 'black').text(text, x + 4, top + 4, { width: widths[i] - 8 });
+      x += widths[i];
+    });
+    doc.moveTo(left, top + height).lineTo(left + total, top + height).strokeColor('#f1f5f9').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+  drawRow(columns.map(c => c.header), 'Helvetica-Bold');
+  rows.forEach(row => drawRow(columns.map(c => plain(c.value(row))), 'Helvetica', columns.map(c => (c.color ? c.color(row) : null))));
+  doc.moveDown(0.5);
+}
+
+const VALUE_COLUMNS = [
+  { header: 'Test', width: 0.34, value: v => v.name },
+  { header: 'Result', width: 0.22, value: v => `${v.comparator || ''}${v.value} ${v.unit || ''}` },
+  { header: 'Reference range', width: 0.28, value: v => formatRange(v.referenceRange) },
+  { header: 'Flag', width: 0.16, value: v => FLAG_LABELS[v.flag] || v.flag, color: v => FLAG_COLORS[v.flag] }
+];
+
+function flaggedValues(report) {
+  return (report.labValues || [])
+    .filter(v => v.flag !== 'normal' && v.flag !== 'unknown')
+    .sort((a, b) => FLAG_ORDER[a.flag] - FLAG_ORDER[b.flag]);
+}
+
+function footer(doc) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const y = doc.page.height - 35;
+    // writing below the bottom margin would add a page; lift it for the footer
+    const margin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fillColor(MUTED).font('Helvetica').fontSize(8)
+      .text(`Page ${i + 1} of ${range.count}`, doc.page.margins.left, y, { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'right' });
+    doc.page.margins.bottom = margin;
+  }
+}
+
+function disclaimer(doc) {
+  heading(doc, 'Disclaimer');
+  paragraph(doc, DISCLAIMER, MUTED);
+}
+
+function reportBody(doc, report, timeZone) {
+  const values = report.labValues || [];
+  const flagged = flaggedValues(report);
+  metrics(doc, [
+    { value: report.status, label: values.length ? `Overall status · ${flagged.length} of ${values.length} out of range` : 'Overall status', color: STATUS_COLORS[report.status] },
+    { value: report.confidence, label: 'Confidence' },
+    { value: report.reportType, label: 'Report type' },
+    { value: formatDate(report.reportDate || report.analyzedAt, timeZone), label: report.reportDate ? 'Report date' : 'Analysis date' }
+  ]);
+
+  heading(doc, 'Summary');
+  paragraph(doc, report.summary || '');
+
+  heading(doc, 'Flagged results');
+  if (flagged.length) table(doc, VALUE_COLUMNS, flagged);
+  else paragraph(doc, values.length ? `All ${values.length} extracted values are within their reference ranges.` : 'No lab values could be extracted from this report.', MUTED);
+
+  const remarks = (report.findings || []).map(splitFinding);
+  if (remarks.length) {
+    heading(doc, 'Remarks from the report');
+    table(doc, [
+      { header: 'Category', width: 0.16, value: r => r.category, color: r => STATUS_COLORS[r.category] },
+      { header: 'Text', width: 0.84, value: r => r.text }
+    ], remarks);
+  }
+}
+
+// Full analysis of one report -> Promise<Buffer>
+function renderReportPdf(report, { patient, timeZone, generatedAt = new Date() }) {
+  return render(doc => {
+    header(doc, 'Report analysis', patient, timeZone, generatedAt);
+    reportBody(doc, report, timeZone);
+
+    const values = report.labValues || [];
+    const rest = values.filter(v => !flaggedValues(report).includes(v));
+    if (rest.length) {
+      heading(doc, 'Other results');
+      table(doc, VALUE_COLUMNS, rest);
+    }
+
+    heading(doc, 'Source files');
+    String(report.fileName || '').split(', ').filter(Boolean).forEach(name => paragraph(doc, `• ${name}`));
+    if (report.details) {
+      doc.moveDown(0.3);
+      paragraph(doc, report.details, MUTED);
+    }
+    disclaimer(doc);
+  });
+}
+
+// medications: reminders as listed by the API (with description, upcoming, supply) plus adherence
+// { taken, total } over the period; reports: newest first -> Promise<Buffer>
+function renderVisitSummaryPdf({ patient, medications, reports, weeks, timeZone, generatedAt = new Date() }) {
+  return render(doc => {
+    header(doc, 'Visit summary', patient, timeZone, generatedAt);
+
+    heading(doc, 'Current medications');
+    if (medications.length) {
+      table(doc, [
+        { header: 'Medicine', width: 0.26, value: m => [m.strength ? `${m.name} ${m.strength}` : m.name, m.dose ? `${m.dose.amount} ${m.dose.unit}` : null, m.timing].filter(Boolean).join('\n') },
+        { header: 'Schedule', width: 0.24, value: m => (m.description === 'once' ? `once, ${formatDate(m.time, timeZone, true)}` : m.description) },
+        { header: 'Next dose', width: 0.18, value: m => (m.upcoming.length ? formatDate(m.upcoming[0], timeZone, true) : '-') },
+        { header: 'Stock', width: 0.14, value: m => (m.supply ? `${m.supply.quantity} left${m.supply.daysLeft != null ? `\n~${m.supply.daysLeft} days` : ''}` : '-') },
+        {
+          header: `Taken (${weeks} wk)`,
+          width: 0.18,
+          value: m => (m.adherence.total ? `${Math.round((m.adherence.taken / m.adherence.total) * 100)}% (${m.adherence.taken}/${m.adherence.total})` : 'no doses due'),
+          color: m => (m.adherence.total && m.adherence.taken / m.adherence.total < 0.8 ? FLAG_COLORS.high : null)
+        }
+      ], medications);
+    } else {
+      paragraph(doc, 'No active medication reminders.', MUTED);
+    }
+
+    heading(doc, 'Recent reports');
+    if (!reports.length) paragraph(doc, 'No analysed reports.', MUTED);
+    reports.forEach((report, i) => {
+      ensureSpace(doc, 140);
+      if (i) doc.moveDown(0.8);
+      doc.fillColor('black').font('Helvetica-Bold').fontSize(11)
+        .text(plain(`${formatDate(report.reportDate || report.analyzedAt, timeZone)} · ${report.reportType} · `), { continued: true })
+        .fillColor(STATUS_COLORS[report.status] || 'black').text(plain(report.status));
+      doc.moveDown(0.3);
+      paragraph(doc, report.summary || '');
+      const flagged = flaggedValues(report);
+      if (flagged.length) {
+        doc.moveDown(0.3);
+        table(doc, VALUE_COLUMNS, flagged);
+      }
+    });
+    disclaimer(doc);
+  });
+}
+
+module.exports = { renderReportPdf, renderVisitSummaryPdf };
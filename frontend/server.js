@@ -2,286 +2,1351 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./storage');
+const { analyzeFiles } = require('./reportAnalyzer');
+const { summarizeReport, buildTrends } = require('./reportHistory');
+const { normalizeRule, nextOccurrence, occurrencesBetween, describeRule, ruleEnd } = require('./recurrence');
+const { DOSE_STATUSES, summarizeAdherence } = require('./adherence');
+const { parseInZone, userTimeZone, normalizeTravel } = require('./timezones');
+const { exportCalendar, importCalendar } = require('./ical');
+const { medicationRequestsToItems, reportsBundle, medicationStatementsBundle } = require('./fhir');
+const { renderReportPdf, renderVisitSummaryPdf } = require('./reportPdf');
+const { parsePrescription } = require('./prescriptionParser');
+const { extractPrescriptionText } = require('./ocr');
+const { checkMedications } = require('./drugInteractions');
+const { createJobQueue } = require('./jobQueue');
+const { clock } = require('./clock');
+const { accept, EXTENSIONS } = require('./uploads');
+const { validate, check, string, oneOf, number, boolean, date, timeZone, email, url, array, object, optional, nullable } = require('./validation');
+const { normalizeStock, adjustStock, projectSupply } = require('./inventory');
+const { createDispatcher, preferencesFor } = require('./notifications');
+const { createWebPushChannel } = require('./notifications/webPush');
+const { createEmailChannel } = require('./notifications/email');
+const { createWebhookChannel, checkWebhookUrl } = require('./notifications/webhook');
+const { normalizeEmail, validateCredentials, hashPassword, verifyPassword, createSession, endSession, createFeedToken, userForFeedToken, createCode, tokenId, requireAuth, publicUser } = require('./auth');
 
 const PORT = process.env.PORT || 3000;
-const DB_PATH = path.join(__dirname, 'db.json');
+// how long a fired dose may stay unacknowledged before caregivers hear about it (users can override)
+const DEFAULT_ESCALATE_MINUTES = Number(process.env.MISSED_DOSE_MINUTES) || 60;
+// codes sent by email (caregiver invitations, address confirmations) go out again at most this often
+const RESEND_MINUTES = 10;
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
+
+// STORAGE=json (db.json, default) or STORAGE=sqlite (data.db); see storage/index.js
+const store = createStore();
 
 const app = express();
 app.use(express.json());
 
-let db = { reminders: [] };
+// Custom reminder tones arrive as multipart `toneFile` (JSON requests pass straight through) and are the
+// only uploads kept on disk. They are served under /uploads with their audio type and nothing else.
+const TONE_TYPES = ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm', 'audio/mp4'];
+const toneUpload = accept('toneFile', { types: TONE_TYPES, maxSize: 2 * 1024 * 1024 });
 
-function loadDb() {
-  if (fs.existsSync(DB_PATH)) {
-    try {
-      db = JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
-    } catch (e) {
-      console.error('Failed to parse db.json, starting fresh', e);
-      db = { reminders: [] };
-    }
-  } else {
-    saveDb();
+function saveTone(file) {
+  const name = `${uuidv4()}${EXTENSIONS[file.mimetype]}`;
+  fs.writeFileSync(path.join(UPLOAD_DIR, name), file.buffer);
+  return `/uploads/${name}`;
+}
+
+app.use('/uploads',
+  (req, res, next) => (/^\/[\w-]+\.(mp3|wav|ogg|webm|m4a)$/.test(req.path) ? next() : res.status(404).end()),
+  express.static(UPLOAD_DIR, { setHeaders: res => res.set({ 'X-Content-Type-Options': 'nosniff', 'Content-Security-Policy': "default-src 'none'" }) }));
+
+// shared request schemas (see validation.js)
+const REMINDER_TYPES = ['alarm', 'notification'];
+const reminderType = optional(oneOf(REMINDER_TYPES), 'alarm');
+const toneField = optional(nullable(string({ max: 50 })), null);
+const limitQuery = { limit: optional(number({ min: 1, max: 100, integer: true }), 5) };
+const weeksQuery = { weeks: optional(number({ min: 1, max: 520, integer: true })) };
+const doseQuery = { status: optional(oneOf(DOSE_STATUSES)), reminderId: optional(string()), since: optional(date()) };
+
+// web-push setup - require environment variables
+const VAPID_PUBLIC = process.env.VAPID_PUBLIC_KEY || '';
+const VAPID_PRIVATE = process.env.VAPID_PRIVATE_KEY || '';
+const VAPID_EMAIL = process.env.VAPID_EMAIL || 'mailto:admin@example.com';
+if (!VAPID_PUBLIC || !VAPID_PRIVATE) {
+  console.warn('VAPID keys not provided. Web Push notifications will be disabled until you set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY.');
+}
+
+// Every notification goes through the dispatcher (see notifications/index.js), which sends it on each
+// channel the user has switched on, retries failures and keeps a delivery log
+const dispatcher = createDispatcher({
+  store,
+  channels: [
+    createWebPushChannel({ store, publicKey: VAPID_PUBLIC, privateKey: VAPID_PRIVATE, subject: VAPID_EMAIL }),
+    createEmailChannel({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || undefined,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || 'Medicine Reminder <reminders@localhost>'
+    }),
+    createWebhookChannel({ secret: process.env.WEBHOOK_SECRET })
+  ]
+});
+
+// Log the reminder and send it
+async function notify(rem, dose, title = 'Medicine Reminder') {
+  console.log(`Reminder: ${rem.name} (id:${rem.id}) - ${rem.type} due ${dose.scheduledFor}`);
+  await dispatcher.send(rem.userId, {
+    kind: 'reminder',
+    title,
+    body: `Time to take: ${rem.name}`,
+    data: { reminderId: rem.id, doseId: dose.id, name: rem.name, type: rem.type, tone: rem.tone, file: rem.toneFile || null }
+  });
+}
+
+async function notifyMissed(dose, caregivers) {
+  const patient = store.get('users', dose.userId);
+  const who = patient ? patient.name || patient.email : 'Your patient';
+  console.log(`Missed dose: ${dose.name} (dose:${dose.id}) due ${dose.scheduledFor} - telling ${caregivers.length} caregiver(s)`);
+  for (const c of caregivers) {
+    await dispatcher.send(c.caregiverId, {
+      kind: 'missed',
+      title: 'Missed dose',
+      body: `${who} hasn't confirmed ${dose.name} due ${new Date(dose.scheduledFor).toLocaleString('en-GB', { timeZone: userTimeZone(patient), timeZoneName: 'short' })}`,
+      data: { patientId: dose.userId, doseId: dose.id, reminderId: dose.reminderId, name: dose.name, missed: true }
+    });
+  }
+}
+
+async function notifyRefill(rem, supply) {
+  const left = supply.daysLeft != null ? ` (about ${supply.daysLeft} days)` : '';
+  console.log(`Refill: ${rem.name} (id:${rem.id}) - ${supply.quantity} left${left}`);
+  await dispatcher.send(rem.userId, {
+    kind: 'refill',
+    title: 'Refill Reminder',
+    body: `Running low on ${rem.name}: ${supply.quantity} left${left}. Time to get a refill.`,
+    data: { reminderId: rem.id, name: rem.name, refill: true, quantity: supply.quantity, runsOutAt: supply.runsOutAt }
+  });
+}
+
+// Scheduling goes through a durable job queue (jobQueue.js), so nothing is lost when the server restarts:
+//   reminder:<reminderId>   the reminder's next occurrence
+//   snooze:<doseId>         a snoozed dose coming back
+//   escalation:<doseId>     telling caregivers about a dose nobody acknowledged
+//   refill:<reminderId>     the refill reminder
+// Occurrences that came due while the server was down are handled by CATCH_UP_POLICY:
+//   fire   - send the most recent one late and mark any earlier ones missed (default)
+//   missed - mark them all missed without notifying
+//   drop   - skip them
+// Only the last CATCH_UP_HOURS are caught up; anything older is dropped.
+const CATCH_UP_POLICIES = ['fire', 'missed', 'drop'];
+const CATCH_UP_POLICY = CATCH_UP_POLICIES.includes(process.env.CATCH_UP_POLICY) ? process.env.CATCH_UP_POLICY : 'fire';
+const CATCH_UP_HOURS = Number(process.env.CATCH_UP_HOURS) || 24;
+
+const jobs = createJobQueue({
+  store,
+  handlers: {
+    reminder: runReminderJob,
+    snooze: runSnoozeJob,
+    escalation: runEscalationJob,
+    refill: runRefillJob
+  }
+});
+
+// The zone a reminder's fixed times are in: its own, or whichever its owner currently follows
+function zoneFor(rem) {
+  return rem.timezone || userTimeZone(store.get('users', rem.userId));
+}
+
+// A paused or ended reminder keeps its history but has nothing coming up
+function isActive(rem) {
+  return !rem.pausedAt && !rem.endedAt;
+}
+
+// Next occurrence of a reminder after `after`: from its recurrence rule, or its one-off `time`
+function nextFor(rem, after) {
+  if (!isActive(rem)) return null;
+  if (rem.schedule) return nextOccurrence(rem.schedule, after, zoneFor(rem));
+  const t = new Date(rem.time);
+  return t > after ? t : null;
+}
+
+// Whether `at` is one of a reminder's occurrences, paused or not
+function isOccurrence(rem, at) {
+  const t = rem.schedule ? nextOccurrence(rem.schedule, new Date(at.getTime() - 1), zoneFor(rem)) : new Date(rem.time);
+  return Boolean(t) && t.getTime() === at.getTime();
+}
+
+function upcomingFor(rem, from, limit) {
+  if (!isActive(rem)) return [];
+  if (rem.schedule) return occurrencesBetween(rem.schedule, from, new Date(8640000000000000), limit, zoneFor(rem));
+  const next = nextFor(rem, from);
+  return next ? [next] : [];
+}
+
+function cancelReminder(id) {
+  jobs.cancel('reminder', id);
+}
+
+function scheduleReminder(rem, after = clock.now()) {
+  const next = nextFor(rem, after);
+  if (!next) return cancelReminder(rem.id); // rule has ended or one-off already passed
+  jobs.schedule('reminder', rem.id, next);
+}
+
+function runReminderJob(job, { overdue }) {
+  // re-read: the reminder may have been deleted, paused or ended since the job was queued
+  const rem = store.get('reminders', job.key);
+  if (!rem || rem.fired || !isActive(rem)) return;
+  const at = new Date(job.runAt);
+  if (overdue) return catchUpReminder(rem, at, clock.now());
+  const dose = findOrCreateDose(rem, at);
+  if (dose.status === 'pending') {
+    notify(rem, dose).catch(err => console.error(`Reminder notification failed (id:${rem.id})`, err));
+    scheduleEscalation(dose);
   }
+  // one-off reminders are done; recurring ones move on to their next occurrence
+  const updated = store.update('reminders', rem.id, { lastFiredAt: at.toISOString(), fired: !rem.schedule });
+  if (updated.schedule) scheduleReminder(updated, at);
+}
+
+// `first` is the occurrence the queue was holding; later ones up to `now` were missed too
+function catchUpReminder(rem, first, now) {
+  const due = [first, ...(rem.schedule ? occurrencesBetween(rem.schedule, first, now, 10000, zoneFor(rem)) : [])];
+  const horizon = now.getTime() - CATCH_UP_HOURS * 3600 * 1000;
+  const recent = due.filter(t => t.getTime() >= horizon);
+  console.log(`Catching up ${rem.name} (id:${rem.id}): ${due.length} occurrence(s) passed while offline, ${recent.length} recent, policy "${CATCH_UP_POLICY}"`);
+  if (CATCH_UP_POLICY !== 'drop') {
+    recent.forEach((at, i) => {
+      const dose = findOrCreateDose(rem, at);
+      if (dose.status !== 'pending') return; // already marked taken/skipped ahead of time
+      if (CATCH_UP_POLICY === 'fire' && i === recent.length - 1) {
+        notify(rem, dose, 'Medicine Reminder (late)').catch(err => console.error(`Reminder notification failed (id:${rem.id})`, err));
+        scheduleEscalation(dose);
+      } else {
+        markMissed(dose);
+      }
+    });
+  }
+  const updated = store.update('reminders', rem.id, { lastFiredAt: due[due.length - 1].toISOString(), fired: !rem.schedule });
+  if (updated.schedule) scheduleReminder(updated, now);
+}
+
+// Refill reminders are queued for when the projected supply drops below the reminder's refillDays.
+// The projection is redone when the job runs since doses may have been skipped since.
+function cancelRefill(id) {
+  jobs.cancel('refill', id);
+}
+
+function supplyFor(rem, now = clock.now()) {
+  return projectSupply(rem, now, zoneFor(rem));
+}
+
+function scheduleRefill(rem) {
+  const supply = rem.stock && !rem.stock.alertedAt && isActive(rem) ? supplyFor(rem) : null;
+  if (!supply || !supply.refillAt) return cancelRefill(rem.id);
+  jobs.schedule('refill', rem.id, supply.refillAt);
 }
 
-function saveDb() {
-  fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2));
+function runRefillJob(job) {
+  const rem = store.get('reminders', job.key);
+  if (!rem || !rem.stock || rem.stock.alertedAt || !isActive(rem)) return;
+  const supply = supplyFor(rem);
+  if (!supply.low) return scheduleRefill(rem);
+  notifyRefill(rem, supply).catch(err => console.error(`Refill notification failed (id:${rem.id})`, err));
+  store.update('reminders', rem.id, { stock: { ...rem.stock, alertedAt: clock.now().toISOString() } });
 }
 
-// Basic in-memory scheduler (server must stay running)
-const scheduled = new Map();
+// Names of the user's reminders that will still fire: used to check new medicines against what they already take
+function activeMedicationNames(userId, { except = null, now = clock.now() } = {}) {
+  return store.find('reminders', r => r.userId === userId && r.id !== except && !r.fired && nextFor(r, now)).map(r => r.name);
+}
 
-function scheduleReminder(rem) {
-  const now = Date.now();
-  const t = new Date(rem.time).getTime();
-  const delay = t - now;
-  if (delay <= 0) return; // skip past reminders
-  if (scheduled.has(rem.id)) clearTimeout(scheduled.get(rem.id));
-  const id = setTimeout(() => {
-    console.log(`Reminder: ${rem.name} (id:${rem.id}) - ${rem.type}`);
-    // In a real app you'd notify clients (websockets/push), here we just log
-    scheduled.delete(rem.id);
-    // mark as fired
-    rem.fired = true;
-    saveDb();
-  }, delay);
-  scheduled.set(rem.id, id);
+// Occurrences before a reminder was last resumed or rescheduled were never due, so catch-up starts after them
+function catchUpFrom(rem) {
+  const since = new Date(rem.activeSince || rem.createdAt);
+  return rem.lastFiredAt && new Date(rem.lastFiredAt) > since ? new Date(rem.lastFiredAt) : since;
 }
 
+// Queue anything that has no job yet (data from before the queue existed, or imported by migrate.js),
+// then start the queue, which catches up on whatever came due while the server was down
 function scheduleAll() {
-  db.reminders.forEach(r => {
-    if (!r.fired) scheduleReminder(r);
+  const now = clock.now();
+  store.all('reminders').forEach(r => {
+    if (!r.fired && !jobs.get('reminder', r.id)) {
+      // from the last occurrence that fired, so occurrences missed while down are caught up
+      const next = nextFor(r, catchUpFrom(r));
+      if (next) jobs.schedule('reminder', r.id, next);
+    }
+    scheduleRefill(r);
+  });
+  const dayAgo = now.getTime() - 24 * 3600 * 1000;
+  store.all('doses').forEach(d => {
+    if (d.status === 'snoozed' && !jobs.get('snooze', d.id)) jobs.schedule('snooze', d.id, d.snoozedUntil);
+    if (d.status === 'pending' && !d.escalatedAt && !jobs.get('escalation', d.id) && new Date(d.scheduledFor).getTime() > dayAgo) scheduleEscalation(d);
   });
+  jobs.start();
 }
 
-// Simple prescription parser: looks for lines like "Name x COUNT every N hours" or "Take X tablets at HH:MM"
-function parsePrescription(text) {
-  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-  const results = [];
-  for (const line of lines) {
-    // examples: Paracetamol 2 tablets every 8 hours
-    let m = line.match(/^(.*?)\s+(\d+)\s*(tablets|tabs|pills)?\s*(every\s*(\d+)\s*hours)?/i);
-    if (m) {
-      const name = m[1].trim();
-      const count = parseInt(m[2], 10) || 1;
-      const everyHours = m[5] ? parseInt(m[5], 10) : null;
-      results.push({ name, count, everyHours });
-      continue;
-    }
-    // fallback: try 'Take 1 tablet of Aspirin at 09:00'
-    m = line.match(/take\s*(\d+)\s*.*of\s*(.*?)\s*(at\s*(\d{1,2}:\d{2}))?/i);
-    if (m) {
-      const count = parseInt(m[1], 10);
-      const name = m[2].trim();
-      const atTime = m[4] || null;
-      results.push({ name, count, atTime });
-    }
+// Dose records: one per occurrence that fired or was marked by the user ahead of time
+function findOrCreateDose(rem, scheduledFor) {
+  const at = new Date(scheduledFor).toISOString();
+  const existing = store.find('doses', d => d.reminderId === rem.id && d.scheduledFor === at)[0];
+  if (existing) return existing;
+  return store.insert('doses', { id: uuidv4(), userId: rem.userId, reminderId: rem.id, name: rem.name, scheduledFor: at, status: 'pending', snoozedUntil: null, history: [{ status: 'pending', at: clock.now().toISOString() }] });
+}
+
+function cancelSnooze(doseId) {
+  jobs.cancel('snooze', doseId);
+}
+
+// status is taken | skipped | snoozed; snoozing needs a duration in minutes. Updates `dose` in place.
+// (pending and missed are only ever set by the scheduler)
+function setDoseStatus(dose, status, minutes) {
+  if (!DOSE_STATUSES.includes(status) || status === 'pending' || status === 'missed') return `status must be one of taken, skipped, snoozed`;
+  const now = clock.now();
+  const entry = { status, at: now.toISOString() };
+  if (status === 'snoozed') {
+    const mins = Number(minutes);
+    if (!(mins > 0) || mins > 24 * 60) return 'minutes must be between 1 and 1440 when snoozing';
+    dose.snoozedUntil = new Date(now.getTime() + mins * 60 * 1000).toISOString();
+    entry.minutes = mins;
+  } else {
+    dose.snoozedUntil = null;
+  }
+  cancelSnooze(dose.id);
+  cancelEscalation(dose.id);
+  // stock follows the taken status, so correcting a mistaken "taken" puts the dose back
+  const delta = (status === 'taken') - (dose.status === 'taken');
+  const rem = delta && store.get('reminders', dose.reminderId);
+  if (rem && rem.stock) scheduleRefill(store.update('reminders', rem.id, { stock: adjustStock(rem.stock, delta) }));
+  dose.status = status;
+  dose.history.push(entry);
+  store.update('doses', dose.id, dose);
+  if (status === 'snoozed') jobs.schedule('snooze', dose.id, dose.snoozedUntil);
+  return null;
+}
+
+function markMissed(dose) {
+  cancelEscalation(dose.id);
+  dose.history.push({ status: 'missed', at: clock.now().toISOString() });
+  return store.update('doses', dose.id, { status: 'missed', history: dose.history });
+}
+
+// A snoozed dose fires its reminder again and goes back to pending
+function runSnoozeJob(job) {
+  const dose = store.get('doses', job.key);
+  if (!dose || dose.status !== 'snoozed') return;
+  dose.history.push({ status: 'pending', at: clock.now().toISOString() });
+  const updated = store.update('doses', dose.id, { status: 'pending', snoozedUntil: null, history: dose.history });
+  const rem = store.get('reminders', dose.reminderId);
+  if (rem) {
+    notify(rem, updated, 'Medicine Reminder (snoozed)').catch(err => console.error(`Reminder notification failed (id:${rem.id})`, err));
+    scheduleEscalation(updated);
+  }
+}
+
+// Missed-dose escalation: a dose still pending some minutes after it fired (or came back from a snooze)
+// is reported to the patient's caregivers, once per dose
+function cancelEscalation(doseId) {
+  jobs.cancel('escalation', doseId);
+}
+
+function caregiversOf(patientId) {
+  return store.find('caregivers', c => c.patientId === patientId && c.status === 'accepted');
+}
+
+function escalationMinutes(userId) {
+  const user = store.get('users', userId);
+  return (user && user.escalateAfterMinutes) || DEFAULT_ESCALATE_MINUTES;
+}
+
+function pendingSince(dose) {
+  const last = [...dose.history].reverse().find(h => h.status === 'pending');
+  return new Date(last ? last.at : dose.scheduledFor);
+}
+
+function scheduleEscalation(dose) {
+  if (dose.escalatedAt) return;
+  jobs.schedule('escalation', dose.id, new Date(pendingSince(dose).getTime() + escalationMinutes(dose.userId) * 60 * 1000));
+}
+
+function runEscalationJob(job, { overdue }) {
+  const dose = store.get('doses', job.key);
+  if (!dose || dose.status !== 'pending' || dose.escalatedAt) return;
+  // after a long outage, don't wake caregivers about doses from long ago
+  if (overdue && clock.now().getTime() - new Date(job.runAt).getTime() > CATCH_UP_HOURS * 3600 * 1000) return;
+  // caregivers are looked up now, so someone who accepted during the window is included
+  const caregivers = caregiversOf(dose.userId);
+  if (!caregivers.length) return;
+  store.update('doses', dose.id, { escalatedAt: clock.now().toISOString() });
+  notifyMissed(dose, caregivers).catch(err => console.error(`Missed dose notification failed (dose:${dose.id})`, err));
+}
+
+// Accounts. Everything under /api except these routes and the VAPID key needs a bearer token,
+// and every document carries the `userId` of its owner.
+function getOwned(collection, id, req) {
+  const doc = store.get(collection, id);
+  return doc && doc.userId === req.user.id ? doc : null;
+}
+
+// data from before accounts existed has no owner; the first account to register takes it over
+function adoptUnownedData(userId) {
+  for (const collection of ['reminders', 'doses', 'reports', 'subscriptions']) {
+    const unowned = store.find(collection, d => !d.userId);
+    unowned.forEach(d => store.update(collection, d.id, { userId }));
+    if (unowned.length) console.log(`Assigned ${unowned.length} existing ${collection} to the first account`);
+  }
+}
+
+// body: { email, password, name?, remember?, timezone? } -> 201 { token, expiresAt, user }
+const registerBody = {
+  email: string({ max: 254 }),
+  password: string({ max: 200, trim: false }),
+  name: optional(nullable(string({ max: 100 })), null),
+  remember: optional(boolean(), false),
+  timezone: optional(nullable(timeZone()), null)
+};
+
+app.post('/api/auth/register', validate({ body: registerBody }), async (req, res) => {
+  const { password, name, remember, timezone } = req.body;
+  const invalid = validateCredentials(req.body.email, password);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const email = normalizeEmail(req.body.email);
+  if (store.find('users', u => u.email === email).length) return res.status(409).json({ error: 'an account with this email already exists' });
+  const first = store.all('users').length === 0;
+  const user = store.insert('users', { id: uuidv4(), email, name, timezone, travel: null, passwordHash: await hashPassword(password), createdAt: clock.now().toISOString() });
+  if (first) adoptUnownedData(user.id);
+  res.status(201).json({ ...createSession(store, user.id, remember), user: publicUser(user) });
+});
+
+// body: { email, password, remember? } -> { token, expiresAt, user }
+const loginBody = { email: string({ max: 254 }), password: string({ max: 200, trim: false }), remember: optional(boolean(), false) };
+
+app.post('/api/auth/login', validate({ body: loginBody }), async (req, res) => {
+  const { password, remember } = req.body;
+  const user = store.find('users', u => u.email === normalizeEmail(req.body.email))[0];
+  // same answer for unknown email and wrong password
+  if (!user || !(await verifyPassword(password, user.passwordHash))) return res.status(401).json({ error: 'invalid email or password' });
+  res.json({ ...createSession(store, user.id, remember), user: publicUser(user) });
+});
+
+app.get('/api/vapidPublicKey', (req, res) => {
+  res.json({ publicKey: VAPID_PUBLIC });
+});
+
+// Calendar subscription feed; the token in the URL stands in for the login (see POST /api/calendar/feed)
+app.get('/api/calendar/feed/:token.ics', (req, res) => {
+  const user = userForFeedToken(store, req.params.token);
+  if (!user) return res.status(404).json({ error: 'not found' });
+  sendCalendar(res, user.id, user.name || user.email);
+});
+
+app.use('/api', requireAuth(store));
+
+app.post('/api/auth/logout', (req, res) => {
+  endSession(store, req.token);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// body: { name?, escalateAfterMinutes?, timezone?, travel? } (a null escalateAfterMinutes goes back to the server default)
+const profileBody = {
+  name: optional(nullable(string({ max: 100 }))),
+  escalateAfterMinutes: optional(nullable(number({ min: 5, max: 24 * 60 }))),
+  timezone: optional(timeZone()),
+  travel: optional(nullable(object()))
+};
+
+app.patch('/api/auth/me', validate({ body: profileBody }), (req, res) => {
+  const patch = {};
+  for (const field of ['name', 'escalateAfterMinutes', 'timezone']) {
+    if (req.body[field] !== undefined) patch[field] = req.body[field];
   }
-  return results;
+  // travel: { timezone, mode: 'home' keeps doses on home time, 'local' moves them to the local clock } or null when back
+  if (req.body.travel !== undefined) {
+    try { patch.travel = normalizeTravel(req.body.travel); } catch (e) { return res.status(400).json({ error: e.message }); }
+  }
+  const before = userTimeZone(req.user);
+  const user = store.update('users', req.user.id, patch);
+  if (userTimeZone(user) !== before) rescheduleUser(user.id);
+  res.json(publicUser(user));
+});
+
+// The zone a user's reminders follow changed: move their fixed-time occurrences to the new clock
+function rescheduleUser(userId) {
+  store.find('reminders', r => r.userId === userId && !r.fired && !r.timezone).forEach(rem => {
+    scheduleReminder(rem);
+    scheduleRefill(rem);
+  });
+}
+
+// Listings shared by a user's own routes and their caregivers' read-only view
+function reminderList(userId, limit) {
+  const now = clock.now();
+  return store.find('reminders', r => r.userId === userId).map(rem => ({
+    ...rem,
+    description: rem.schedule ? describeRule(rem.schedule) : 'once',
+    upcoming: upcomingFor(rem, now, limit).map(t => t.toISOString()),
+    timezone: zoneFor(rem),
+    status: rem.endedAt ? 'ended' : rem.pausedAt ? 'paused' : 'active',
+    supply: supplyFor(rem, now)
+  }));
+}
+
+function doseList(userId, { status, reminderId, since } = {}) {
+  let list = store.find('doses', d => d.userId === userId);
+  if (status) list = list.filter(d => d.status === status);
+  if (reminderId) list = list.filter(d => d.reminderId === reminderId);
+  if (since) list = list.filter(d => new Date(d.scheduledFor) >= new Date(since));
+  return list.sort((a, b) => new Date(b.scheduledFor) - new Date(a.scheduledFor));
 }
 
-app.get('/api/reminders', (req, res) => {
-  res.json(db.reminders);
+// rules come back with their next few occurrences (?limit=N, default 5)
+app.get('/api/reminders', validate({ query: limitQuery }), (req, res) => {
+  res.json(reminderList(req.user.id, req.query.limit));
 });
 
-app.post('/api/reminders', (req, res) => {
-  const { name, time, type = 'alarm', tone = null } = req.body;
-  if (!name || !time) return res.status(400).json({ error: 'name and time required' });
-  const rem = { id: uuidv4(), name, time, type, tone, createdAt: new Date().toISOString(), fired: false };
-  db.reminders.push(rem);
-  saveDb();
+// body: { name, time } for a one-off reminder or { name, schedule } for a recurring one (see recurrence.js).
+// Accepts JSON or multipart with an optional `toneFile`; `medName` is still accepted from older clients.
+// An optional `stock` ({ quantity, perDose, refillDays }) starts inventory tracking (see inventory.js).
+const reminderBody = {
+  name: optional(string({ max: 100 })),
+  medName: optional(string({ max: 100 })),
+  time: optional(date()),
+  schedule: optional(object()),
+  type: reminderType,
+  tone: toneField,
+  timezone: optional(nullable(timeZone()), null),
+  stock: optional(object())
+};
+
+app.post('/api/reminders', toneUpload, validate({ body: reminderBody }), (req, res) => {
+  const { time, schedule, type, tone, timezone } = req.body;
+  const name = req.body.name || req.body.medName;
+  if (!name || (!time && !schedule)) return res.status(400).json({ error: 'name and time or schedule required' });
+  // timezone pins the reminder to that zone's clock, even while travelling
+  const zone = timezone || userTimeZone(req.user);
+  const rem = { id: uuidv4(), userId: req.user.id, name, type, tone, toneFile: null, timezone, createdAt: clock.now().toISOString(), fired: false };
+  if (schedule) {
+    try { rem.schedule = normalizeRule(schedule, zone, clock.now()); } catch (e) { return res.status(400).json({ error: e.message }); }
+  } else {
+    const at = parseInZone(time, zone);
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'time must be a valid date' });
+    rem.time = at.toISOString();
+  }
+  if (req.body.stock) {
+    try { rem.stock = normalizeStock(req.body.stock); } catch (e) { return res.status(400).json({ error: e.message }); }
+  }
+  // interactions are advisory: the reminder is still saved, with warnings attached
+  const warnings = checkMedications([name], activeMedicationNames(req.user.id));
+  if (req.file) rem.toneFile = saveTone(req.file);
+  store.insert('reminders', rem);
   scheduleReminder(rem);
-  res.status(201).json(rem);
+  scheduleRefill(rem);
+  res.status(201).json({ ...rem, warnings });
 });
 
-app.post('/api/parse-prescription', (req, res) => {
+// body: any of name, time, schedule, type, tone (or a new toneFile), timezone. A new time or schedule replaces
+// the old one (a one-off can become recurring and back), and the queued occurrence moves with it.
+const reminderPatchBody = {
+  name: optional(string({ max: 100 })),
+  time: optional(date()),
+  schedule: optional(object()),
+  type: optional(oneOf(REMINDER_TYPES)),
+  tone: optional(nullable(string({ max: 50 }))),
+  timezone: optional(nullable(timeZone()))
+};
+
+app.patch('/api/reminders/:id', toneUpload, validate({ body: reminderPatchBody }), (req, res) => {
+  const rem = getOwned('reminders', req.params.id, req);
+  if (!rem) return res.status(404).json({ error: 'not found' });
+  if (rem.endedAt) return res.status(400).json({ error: 'reminder has ended' });
+  const { name, time, schedule, type, tone, timezone } = req.body;
+  if (time && schedule) return res.status(400).json({ error: 'send either time or schedule, not both' });
+  const patch = {};
+  if (name) patch.name = name;
+  if (type) patch.type = type;
+  if (tone !== undefined) patch.tone = tone;
+  if (timezone !== undefined) patch.timezone = timezone;
+  const zone = (timezone !== undefined ? timezone : rem.timezone) || userTimeZone(req.user);
+  if (schedule) {
+    try { patch.schedule = normalizeRule(schedule, zone, clock.now()); } catch (e) { return res.status(400).json({ error: e.message }); }
+    patch.time = null;
+  } else if (time) {
+    patch.time = parseInZone(time, zone).toISOString();
+    patch.schedule = null;
+  }
+  // the new timing starts now: earlier occurrences aren't caught up, and a one-off that fired can fire again
+  if (schedule || time) Object.assign(patch, { fired: false, activeSince: clock.now().toISOString() });
+  const warnings = name && name !== rem.name ? checkMedications([name], activeMedicationNames(req.user.id, { except: rem.id })) : [];
+  if (req.file) patch.toneFile = saveTone(req.file);
+  const updated = store.update('reminders', rem.id, patch);
+  scheduleReminder(updated);
+  scheduleRefill(updated);
+  res.json({ ...updated, warnings });
+});
+
+// body: { names: [...] } -> { warnings } for those medicines against each other and the active reminders.
+// Lets the client show interactions before anything is saved.
+app.post('/api/interactions/check', validate({ body: { names: array(string({ max: 100 }), { max: 50 }) } }), (req, res) => {
+  res.json({ warnings: checkMedications(req.body.names, activeMedicationNames(req.user.id)) });
+});
+
+app.post('/api/parse-prescription', validate({ body: { text: string({ max: 20000 }) } }), (req, res) => {
   const { text } = req.body;
-  if (!text) return res.status(400).json({ error: 'text required' });
-  const parsed = parsePrescription(text);
-  res.json({ parsed });
+  // parsed items carry per-line confidence and `missing` fields; unparsed lines need entering by hand
+  const { parsed, unparsed } = parsePrescription(text);
+  res.json({ parsed, unparsed });
+});
+
+// prescription photos and scans are OCR'd locally, then parsed like pasted text.
+// The recognised text comes back too so the user can correct it before creating reminders.
+const PRESCRIPTION_TYPES = ['image/png', 'image/jpeg', 'application/pdf'];
+const prescriptionUpload = accept('file', { types: PRESCRIPTION_TYPES, maxSize: 10 * 1024 * 1024 });
+
+app.post('/api/parse-prescription-file', prescriptionUpload, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'a PNG, JPEG or PDF file is required' });
+  try {
+    const { text, source, confidence } = await extractPrescriptionText(req.file);
+    const { parsed, unparsed } = parsePrescription(text);
+    res.json({ text, source, ocrConfidence: confidence, parsed, unparsed });
+  } catch (e) {
+    console.error('Prescription OCR failed', e);
+    res.status(422).json({ error: e.message });
+  }
 });
 
-app.post('/api/prescription-to-reminders', (req, res) => {
-  const { parsed, startDate } = req.body; // parsed from parse-prescription endpoint
-  if (!parsed || !Array.isArray(parsed)) return res.status(400).json({ error: 'parsed array required' });
+// A prescription item (from parsePrescription() or a FHIR MedicationRequest) as a reminder document.
+// The item's own end date or duration (or `days`) limits the course; without any the rule runs until deleted.
+// Throws with a message for the `skipped` list.
+function reminderFromItem(item, { userId, zone, base, days, type, tone }) {
+  if (item.prn) throw new Error('taken as needed (PRN), not on a schedule');
+  const schedule = { startDate: item.startDate ? parseInZone(item.startDate, zone) : base };
+  if (item.everyHours) schedule.everyHours = item.everyHours;
+  else if (item.times && item.times.length) schedule.times = item.times;
+  else if (item.atTime) schedule.times = [item.atTime];
+  else throw new Error('no frequency or time of day');
+  if (item.weekdays && item.weekdays.length) schedule.weekdays = item.weekdays;
+  if (item.endDate) schedule.endDate = parseInZone(item.endDate, zone);
+  else schedule.days = item.durationDays || days;
+  return { id: uuidv4(), userId, name: item.name, strength: item.strength || null, dose: item.dose || null, timing: item.timing || null, schedule: normalizeRule(schedule, zone, clock.now()), type, tone, toneFile: null, timezone: null, createdAt: clock.now().toISOString(), fired: false };
+}
+
+// the fields of a parsePrescription() item that reminders are made from
+const prescriptionItem = {
+  name: string({ max: 100 }),
+  strength: optional(nullable(string({ max: 50 }))),
+  dose: optional(nullable(object({ amount: number({ min: 0 }), unit: string({ max: 30 }) }))),
+  timing: optional(nullable(string({ max: 100 }))),
+  // hourly up to monthly, so weekly doses fit
+  everyHours: optional(nullable(number({ min: 1, max: 24 * 31 }))),
+  times: optional(nullable(array(string({ max: 5 }), { min: 0, max: 24 }))),
+  atTime: optional(nullable(string({ max: 5 }))),
+  durationDays: optional(nullable(number({ min: 1, max: 3650, integer: true }))),
+  prn: optional(boolean(), false)
+};
+
+const prescriptionRemindersBody = {
+  parsed: array(object(prescriptionItem), { max: 50 }),
+  course: optional(nullable(string({ max: 100 }))),
+  startDate: optional(nullable(date())),
+  days: optional(nullable(number({ min: 1, max: 3650, integer: true }))),
+  type: reminderType,
+  tone: toneField
+};
+
+// a MedicationRequest read by medicationRequestsToItems(): a prescription item with its id, days, bounds and
+// supply
+const fhirItem = {
+  ...prescriptionItem,
+  fhirId: optional(nullable(string({ max: 200 }))),
+  weekdays: optional(nullable(array(number({ min: 0, max: 6, integer: true }), { min: 0, max: 7 }))),
+  startDate: optional(nullable(date())),
+  endDate: optional(nullable(date())),
+  stock: optional(nullable(object()))
+};
+
+// Reminders made together from one prescription or FHIR import form a course, which can be listed, paused,
+// ended or deleted as a whole (see /api/courses).
+//   courses: { id, userId, name, source: prescription|fhir, createdAt }
+function newCourse(user, name, source) {
+  const now = clock.now();
+  const day = now.toLocaleDateString('en-GB', { timeZone: userTimeZone(user), dateStyle: 'medium' });
+  return { id: uuidv4(), userId: user.id, name: name || `Prescription of ${day}`, source, createdAt: now.toISOString() };
+}
+
+// One recurring reminder per parsed item, grouped into a course (named by the optional `course`).
+// As-needed (PRN) items are not scheduled.
+app.post('/api/prescription-to-reminders', validate({ body: prescriptionRemindersBody }), (req, res) => {
+  const { parsed, startDate, days, type, tone } = req.body; // parsed from parse-prescription endpoint
   const created = [];
-  const base = startDate ? new Date(startDate) : new Date();
+  const skipped = [];
+  const zone = userTimeZone(req.user);
+  const base = startDate ? parseInZone(startDate, zone) : clock.now();
+  const active = activeMedicationNames(req.user.id);
+  const course = newCourse(req.user, req.body.course, 'prescription');
   parsed.forEach(item => {
-    if (item.everyHours) {
-      // schedule next 7 days occurrences
-      const occurrences = 7 * Math.ceil(24 / item.everyHours);
-      let next = new Date(base);
-      for (let i = 0; i < occurrences; i++) {
-        const time = new Date(next.getTime() + i * item.everyHours * 3600 * 1000);
-        const rem = { id: uuidv4(), name: item.name, time: time.toISOString(), type: 'alarm', tone: null, createdAt: new Date().toISOString(), fired: false };
-        db.reminders.push(rem);
-        created.push(rem);
-      }
-    } else if (item.atTime) {
-      // schedule for next 7 days at that time
-      const [hh, mm] = item.atTime.split(':').map(n => parseInt(n, 10));
-      for (let d = 0; d < 7; d++) {
-        const dt = new Date(base);
-        dt.setDate(dt.getDate() + d);
-        dt.setHours(hh, mm, 0, 0);
-        const rem = { id: uuidv4(), name: item.name, time: dt.toISOString(), type: 'alarm', tone: null, createdAt: new Date().toISOString(), fired: false };
-        db.reminders.push(rem);
-        created.push(rem);
-      }
+    try {
+      const rem = reminderFromItem(item, { userId: req.user.id, zone, base, days, type, tone });
+      rem.courseId = course.id;
+      store.insert('reminders', rem);
+      created.push(rem);
+    } catch (e) {
+      skipped.push({ item, error: e.message });
     }
   });
-  saveDb();
-  scheduleAll();
-  res.json({ created });
+  if (created.length) store.insert('courses', course);
+  created.forEach(rem => scheduleReminder(rem));
+  const warnings = checkMedications(created.map(r => r.name), active);
+  res.json({ created, skipped, warnings, course: created.length ? course : null });
+});
+
+// FHIR R4 (fhir.js). Import takes MedicationRequest resources (alone, as an array or in a Bundle) and reads
+// their structured dosage timing; ?type=&tone= apply to the created reminders. Requests already imported
+// (same id) are skipped. -> { created, skipped, warnings }
+const fhirJson = express.json({ type: ['application/json', 'application/fhir+json'], limit: '2mb' });
+
+function fhirBase(req) {
+  return `${req.protocol}://${req.get('host')}/api/fhir`;
+}
+
+app.post('/api/fhir/import', fhirJson, validate({ query: { type: reminderType, tone: toneField } }), (req, res) => {
+  let parsed;
+  try { parsed = medicationRequestsToItems(req.body); } catch (e) { return res.status(400).json({ error: e.message }); }
+  const { type, tone } = req.query;
+  const zone = userTimeZone(req.user);
+  const created = [];
+  const skipped = parsed.skipped;
+  const active = activeMedicationNames(req.user.id);
+  const course = newCourse(req.user, null, 'fhir');
+  parsed.items.forEach(request => {
+    let item;
+    try { item = check(fhirItem, request); } catch (e) { return skipped.push({ id: request.fhirId, name: request.name, error: e.message }); }
+    if (item.fhirId && store.find('reminders', r => r.userId === req.user.id && r.fhirId === item.fhirId).length) {
+      return skipped.push({ id: item.fhirId, name: item.name, error: 'already imported' });
+    }
+    try {
+      const rem = reminderFromItem(item, { userId: req.user.id, zone, base: clock.now(), days: null, type, tone });
+      rem.fhirId = item.fhirId;
+      rem.courseId = course.id;
+      if (item.stock) rem.stock = normalizeStock(item.stock, null, rem);
+      store.insert('reminders', rem);
+      created.push(rem);
+    } catch (e) {
+      skipped.push({ id: item.fhirId, name: item.name, error: e.message });
+    }
+  });
+  if (created.length) store.insert('courses', course);
+  created.forEach(rem => { scheduleReminder(rem); scheduleRefill(rem); });
+  const warnings = checkMedications(created.map(r => r.name), active);
+  res.json({ created, skipped, warnings, course: created.length ? course : null });
+});
+
+// report analyses as a Bundle of DiagnosticReport + Observation resources
+app.get('/api/fhir/reports', (req, res) => {
+  res.type('application/fhir+json').json(reportsBundle(store.find('reports', r => r.userId === req.user.id), req.user, fhirBase(req), { now: clock.now() }));
+});
+
+app.get('/api/fhir/reports/:id', (req, res) => {
+  const report = getOwned('reports', req.params.id, req);
+  if (!report) return res.status(404).json({ error: 'not found' });
+  res.type('application/fhir+json').json(reportsBundle([report], req.user, fhirBase(req), { now: clock.now() }));
+});
+
+// reminders and dose history (?since=ISO date) as MedicationStatement resources
+app.get('/api/fhir/medication-statements', validate({ query: { since: optional(date()) } }), (req, res) => {
+  const reminders = store.find('reminders', r => r.userId === req.user.id);
+  const doses = doseList(req.user.id, { since: req.query.since });
+  const endOf = rem => {
+    const end = rem.schedule ? ruleEnd(rem.schedule) : new Date(rem.time);
+    // ended early: the regimen stopped when the user ended it
+    return rem.endedAt && !(end && end <= new Date(rem.endedAt)) ? new Date(rem.endedAt) : end;
+  };
+  res.type('application/fhir+json').json(medicationStatementsBundle(reminders, doses, req.user, fhirBase(req), { endOf, now: clock.now() }));
+});
+
+// report analysis: files are kept in memory only long enough to extract their text
+const REPORT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'text/plain'];
+const reportUpload = accept('files', { types: REPORT_TYPES, maxSize: 10 * 1024 * 1024, maxFiles: 10 });
+
+app.post('/api/analyze-report', reportUpload, async (req, res) => {
+  if (!req.files || !req.files.length) return res.status(400).json({ error: 'files required' });
+  try {
+    const report = { id: uuidv4(), userId: req.user.id, ...(await analyzeFiles(req.files)) };
+    store.insert('reports', report);
+    res.json(report);
+  } catch (e) {
+    console.error('Report analysis failed', e);
+    res.status(500).json({ error: 'analysis failed' });
+  }
+});
+
+// report history
+app.get('/api/reports', (req, res) => {
+  const list = store.find('reports', r => r.userId === req.user.id).map(summarizeReport)
+    .sort((a, b) => new Date(b.reportDate || b.analyzedAt) - new Date(a.reportDate || a.analyzedAt));
+  res.json(list);
+});
+
+app.get('/api/reports/trends', (req, res) => {
+  res.json(buildTrends(store.find('reports', r => r.userId === req.user.id)));
+});
+
+app.get('/api/reports/:id', (req, res) => {
+  const report = getOwned('reports', req.params.id, req);
+  if (!report) return res.status(404).json({ error: 'not found' });
+  res.json(report);
+});
+
+app.delete('/api/reports/:id', (req, res) => {
+  const report = getOwned('reports', req.params.id, req);
+  if (!report) return res.status(404).json({ error: 'not found' });
+  store.remove('reports', report.id);
+  res.json({ removed: report.id });
+});
+
+// printable copies (see reportPdf.js); dates are shown in the patient's time zone
+function sendPdf(res, name, pdf) {
+  res.type('application/pdf').attachment(name).send(pdf);
+}
+
+app.get('/api/reports/:id/pdf', async (req, res) => {
+  const report = getOwned('reports', req.params.id, req);
+  if (!report) return res.status(404).json({ error: 'not found' });
+  try {
+    const pdf = await renderReportPdf(report, { patient: req.user, timeZone: userTimeZone(req.user) });
+    sendPdf(res, `report-${(report.reportDate || report.analyzedAt).slice(0, 10)}.pdf`, pdf);
+  } catch (e) {
+    console.error('Report PDF failed', e);
+    res.status(500).json({ error: 'could not create PDF' });
+  }
+});
+
+// for a doctor's appointment: the latest ?reports=N (default 3) analyses and the medications still being
+// taken, with how many doses were taken over the last ?weeks=N (default 4)
+const visitSummaryQuery = {
+  reports: optional(number({ min: 1, max: 20, integer: true }), 3),
+  weeks: optional(number({ min: 1, max: 52, integer: true }), 4)
+};
+
+app.get('/api/visit-summary.pdf', validate({ query: visitSummaryQuery }), async (req, res) => {
+  const { reports: count, weeks } = req.query;
+  const now = clock.now();
+  const reports = store.find('reports', r => r.userId === req.user.id)
+    .sort((a, b) => new Date(b.reportDate || b.analyzedAt) - new Date(a.reportDate || a.analyzedAt))
+    .slice(0, count);
+  const adherence = summarizeAdherence(store.find('doses', d => d.userId === req.user.id), now, weeks, userTimeZone(req.user));
+  const medications = reminderList(req.user.id, 1)
+    .filter(rem => rem.upcoming.length)
+    .map(rem => {
+      const rows = adherence.filter(a => a.name === rem.name);
+      return {
+        ...rem,
+        adherence: { taken: rows.reduce((n, a) => n + a.taken, 0), total: rows.reduce((n, a) => n + a.total, 0) }
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  try {
+    const pdf = await renderVisitSummaryPdf({ patient: req.user, reports, medications, weeks, timeZone: userTimeZone(req.user), generatedAt: now });
+    sendPdf(res, `visit-summary-${now.toISOString().slice(0, 10)}.pdf`, pdf);
+  } catch (e) {
+    console.error('Visit summary PDF failed', e);
+    res.status(500).json({ error: 'could not create PDF' });
+  }
+});
+
+// dose adherence
+app.get('/api/doses', validate({ query: doseQuery }), (req, res) => {
+  res.json(doseList(req.user.id, req.query));
+});
+
+// mark an occurrence before (or without) it firing: body { scheduledFor, status, minutes }
+const snoozeMinutes = optional(number({ min: 1, max: 24 * 60 }));
+
+app.post('/api/reminders/:id/doses', validate({ body: { scheduledFor: date(), status: string({ max: 20 }), minutes: snoozeMinutes } }), (req, res) => {
+  const rem = getOwned('reminders', req.params.id, req);
+  if (!rem) return res.status(404).json({ error: 'not found' });
+  const { scheduledFor, status, minutes } = req.body;
+  // a time without an offset is on the reminder's clock, like its times of day
+  const at = parseInZone(scheduledFor, zoneFor(rem));
+  if (!isOccurrence(rem, at)) return res.status(400).json({ error: 'scheduledFor is not a time this reminder is due' });
+  const dose = findOrCreateDose(rem, at);
+  const error = setDoseStatus(dose, status, minutes);
+  if (error) return res.status(400).json({ error });
+  res.json(dose);
+});
+
+app.post('/api/doses/:id/:action', validate({ body: { minutes: snoozeMinutes } }), (req, res) => {
+  const dose = getOwned('doses', req.params.id, req);
+  if (!dose) return res.status(404).json({ error: 'not found' });
+  const error = setDoseStatus(dose, req.params.action, req.body.minutes);
+  if (error) return res.status(400).json({ error });
+  res.json(dose);
 });
 
-// simple delete
+// percentage of doses taken per medication per week (?weeks=N limits how far back)
+app.get('/api/adherence', validate({ query: weeksQuery }), (req, res) => {
+  res.json(summarizeAdherence(store.find('doses', d => d.userId === req.user.id), clock.now(), req.query.weeks || null, userTimeZone(req.user)));
+});
+
+// inventory: set what is on hand (body { quantity, perDose?, refillDays? }) ...
+const stockBody = {
+  quantity: number({ min: 0 }),
+  perDose: optional(number({ min: 0.001 })),
+  refillDays: optional(number({ min: 0, max: 90 }))
+};
+
+app.put('/api/reminders/:id/stock', validate({ body: stockBody }), (req, res) => {
+  const rem = getOwned('reminders', req.params.id, req);
+  if (!rem) return res.status(404).json({ error: 'not found' });
+  let stock;
+  try { stock = normalizeStock(req.body, rem.stock, rem); } catch (e) { return res.status(400).json({ error: e.message }); }
+  const updated = store.update('reminders', rem.id, { stock });
+  scheduleRefill(updated);
+  res.json({ stock, supply: supplyFor(updated) });
+});
+
+// ... or add a refill to it (body { quantity })
+app.post('/api/reminders/:id/refill', validate({ body: { quantity: number({ min: 0 }) } }), (req, res) => {
+  const rem = getOwned('reminders', req.params.id, req);
+  if (!rem) return res.status(404).json({ error: 'not found' });
+  const added = req.body.quantity;
+  if (!(added > 0)) return res.status(400).json({ error: 'quantity must be a positive number' });
+  const current = rem.stock || normalizeStock({}, null, rem);
+  const stock = normalizeStock({ quantity: current.quantity + added }, current);
+  const updated = store.update('reminders', rem.id, { stock });
+  scheduleRefill(updated);
+  res.json({ stock, supply: supplyFor(updated) });
+});
+
+// Stopping reminders, one at a time, in bulk or by course. Dose history is kept for adherence in every case.
+//   pause: nothing fires until resumed, and occurrences in between are skipped rather than caught up
+//   end: stops for good (a course finished early) but stays listed with its history
+//   delete: removes the reminder; a course goes with its last reminder
+function cancelReminderJobs(rem) {
+  cancelReminder(rem.id);
+  cancelRefill(rem.id);
+  store.find('doses', d => d.reminderId === rem.id).forEach(d => { cancelSnooze(d.id); cancelEscalation(d.id); });
+}
+
+function pauseReminder(rem) {
+  if (!isActive(rem)) return rem;
+  cancelReminderJobs(rem);
+  return store.update('reminders', rem.id, { pausedAt: clock.now().toISOString() });
+}
+
+function resumeReminder(rem) {
+  if (!rem.pausedAt || rem.endedAt) return rem;
+  const updated = store.update('reminders', rem.id, { pausedAt: null, activeSince: clock.now().toISOString() });
+  scheduleReminder(updated);
+  scheduleRefill(updated);
+  return updated;
+}
+
+function endReminder(rem) {
+  if (rem.endedAt) return rem;
+  cancelReminderJobs(rem);
+  return store.update('reminders', rem.id, { endedAt: clock.now().toISOString() });
+}
+
+function removeReminder(rem) {
+  store.remove('reminders', rem.id);
+  cancelReminderJobs(rem);
+  if (rem.courseId && !store.find('reminders', r => r.courseId === rem.courseId).length) store.remove('courses', rem.courseId);
+  return rem;
+}
+
+const REMINDER_ACTIONS = { pause: pauseReminder, resume: resumeReminder, end: endReminder };
+
 app.delete('/api/reminders/:id', (req, res) => {
-  const id = req.params.id;
-  const idx = db.reminders.findIndex(r => r.id === id);
-  if (idx === -1) return res.status(404).json({ error: 'not found' });
-  const [rem] = db.reminders.splice(idx, 1);
-  if (scheduled.has(id)) { clearTimeout(scheduled.get(id)); scheduled.delete(id); }
-  saveDb();
-  res.json({ removed: rem });
+  const rem = getOwned('reminders', req.params.id, req);
+  if (!rem) return res.status(404).json({ error: 'not found' });
+  res.json({ removed: removeReminder(rem) });
 });
 
-app.listen(PORT, () => {
-  loadDb();
-  scheduleAll();
-  console.log(`Medicine reminder backend running on http://localhost:${PORT}`);
+// POST /api/reminders/:id/pause, /resume, /end -> the updated reminder
+for (const [action, apply] of Object.entries(REMINDER_ACTIONS)) {
+  app.post(`/api/reminders/:id/${action}`, (req, res) => {
+    const rem = getOwned('reminders', req.params.id, req);
+    if (!rem) return res.status(404).json({ error: 'not found' });
+    if (rem.endedAt && action !== 'end') return res.status(400).json({ error: 'reminder has ended' });
+    res.json(apply(rem));
+  });
+}
+
+// body: { ids, action: delete|pause|resume|end } -> { removed } or { updated }. Nothing changes unless every id is found.
+const bulkBody = { ids: array(string({ max: 100 }), { max: 200 }), action: oneOf(['delete', ...Object.keys(REMINDER_ACTIONS)]) };
+
+app.post('/api/reminders/bulk', validate({ body: bulkBody }), (req, res) => {
+  const ids = [...new Set(req.body.ids)];
+  const reminders = ids.map(id => getOwned('reminders', id, req));
+  const missing = ids.filter((id, i) => !reminders[i]);
+  if (missing.length) return res.status(404).json({ error: `not found: ${missing.join(', ')}` });
+  if (req.body.action === 'delete') return res.json({ removed: reminders.map(removeReminder) });
+  res.json({ updated: reminders.map(REMINDER_ACTIONS[req.body.action]) });
 });
-const express = require('express');
-const bodyParser = require('body-parser');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const Database = require('better-sqlite3');
-const schedule = require('node-schedule');
-const webpush = require('web-push');
-const { v4: uuidv4 } = require('uuid');
 
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
+// Courses (see newCourse) come back with their reminders and a status: active while any reminder has
+// occurrences coming up, paused while any is paused, otherwise ended
+function courseView(course, reminders) {
+  const status = reminders.some(r => r.upcoming.length) ? 'active' : reminders.some(r => r.status === 'paused') ? 'paused' : 'ended';
+  return { ...course, status, reminders };
+}
+
+function courseList(userId) {
+  const reminders = reminderList(userId, 1);
+  return store.find('courses', c => c.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(course => courseView(course, reminders.filter(r => r.courseId === course.id)));
+}
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => cb(null, `${uuidv4()}${path.extname(file.originalname)}`)
+app.get('/api/courses', (req, res) => {
+  res.json(courseList(req.user.id));
 });
-const upload = multer({ storage });
 
-const app = express();
-app.use(bodyParser.json());
-app.use('/uploads', express.static(UPLOAD_DIR));
-
-// initialize DB
-const db = new Database(path.join(__dirname, 'data.db'));
-db.exec(`
-CREATE TABLE IF NOT EXISTS reminders (
-  id TEXT PRIMARY KEY,
-  medName TEXT NOT NULL,
-  time TEXT NOT NULL,
-  type TEXT NOT NULL,
-  tone TEXT,
-  filePath TEXT,
-  createdAt TEXT NOT NULL
-);
-CREATE TABLE IF NOT EXISTS subscriptions (
-  id TEXT PRIMARY KEY,
-  endpoint TEXT NOT NULL,
-  keys TEXT NOT NULL,
-  createdAt TEXT NOT NULL
-);
-`);
+app.get('/api/courses/:id', (req, res) => {
+  const course = courseList(req.user.id).find(c => c.id === req.params.id);
+  if (!course) return res.status(404).json({ error: 'not found' });
+  res.json(course);
+});
 
-// web-push setup - require environment variables
-const VAPID_PUBLIC = process.env.VAPID_PUBLIC_KEY || '';
-const VAPID_PRIVATE = process.env.VAPID_PRIVATE_KEY || '';
-const VAPID_EMAIL = process.env.VAPID_EMAIL || 'mailto:admin@example.com';
-if (VAPID_PUBLIC && VAPID_PRIVATE) {
-  webpush.setVapidDetails(VAPID_EMAIL, VAPID_PUBLIC, VAPID_PRIVATE);
-} else {
-  console.warn('VAPID keys not provided. Web Push notifications will be disabled until you set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY.');
+app.patch('/api/courses/:id', validate({ body: { name: string({ max: 100 }) } }), (req, res) => {
+  if (!getOwned('courses', req.params.id, req)) return res.status(404).json({ error: 'not found' });
+  store.update('courses', req.params.id, { name: req.body.name });
+  res.json(courseList(req.user.id).find(c => c.id === req.params.id));
+});
+
+// POST /api/courses/:id/pause, /resume, /end apply to every reminder in the course -> the course
+for (const [action, apply] of Object.entries(REMINDER_ACTIONS)) {
+  app.post(`/api/courses/:id/${action}`, (req, res) => {
+    if (!getOwned('courses', req.params.id, req)) return res.status(404).json({ error: 'not found' });
+    store.find('reminders', r => r.courseId === req.params.id).forEach(apply);
+    res.json(courseList(req.user.id).find(c => c.id === req.params.id));
+  });
 }
 
-function scheduleReminder(reminder) {
-  const when = new Date(reminder.time);
-  if (when <= new Date()) return;
-  schedule.scheduleJob(reminder.id, when, async () => {
-    console.log('Triggering reminder', reminder.id, reminder.medName);
-    // send push to all subscriptions if available
-    if (VAPID_PUBLIC && VAPID_PRIVATE) {
-      const subs = db.prepare('SELECT * FROM subscriptions').all();
-      const payload = JSON.stringify({
-        title: 'Medicine Reminder',
-        body: `Time to take: ${reminder.medName}`,
-        data: { medName: reminder.medName, type: reminder.type, tone: reminder.tone, file: reminder.filePath ? `/uploads/${path.basename(reminder.filePath)}` : null }
-      });
-      for (const s of subs) {
-        const sub = { endpoint: s.endpoint, keys: JSON.parse(s.keys) };
-        try { await webpush.sendNotification(sub, payload); }
-        catch (err) { console.warn('Push failed for', s.id, err && err.message); }
-      }
-    }
+// deletes the course with all its reminders -> { removed: [reminders] }
+app.delete('/api/courses/:id', (req, res) => {
+  const course = getOwned('courses', req.params.id, req);
+  if (!course) return res.status(404).json({ error: 'not found' });
+  const removed = store.find('reminders', r => r.courseId === course.id).map(removeReminder);
+  store.remove('courses', course.id);
+  res.json({ removed });
+});
 
-    // mark occurrence in logs (could extend to email or other channels)
-    console.log(`Reminder fired: ${reminder.medName} (${reminder.type}) at ${new Date().toISOString()}`);
+// iCalendar (ical.js): download the schedule, get a subscription link for calendar apps, or import a file
+function sendCalendar(res, userId, owner, download = false) {
+  // paused and ended reminders have nothing coming up, so calendars drop them
+  const reminders = store.find('reminders', r => r.userId === userId && isActive(r));
+  res.type('text/calendar; charset=utf-8');
+  if (download) res.attachment('medicines.ics');
+  res.send(exportCalendar(reminders, { zoneFor, name: `Medicines (${owner})` }));
+}
+
+app.get('/api/calendar.ics', (req, res) => {
+  sendCalendar(res, req.user.id, req.user.name || req.user.email, true);
+});
+
+// issues a new feed link (the old one stops working) -> { url }
+app.post('/api/calendar/feed', (req, res) => {
+  const token = createFeedToken(store, req.user.id);
+  res.status(201).json({ url: `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics` });
+});
+
+app.delete('/api/calendar/feed', (req, res) => {
+  store.update('users', req.user.id, { calendarFeed: null });
+  res.json({ ok: true });
+});
+
+// body: the calendar as text/calendar, JSON { ics, type?, tone? }, or an uploaded `file`
+// -> { created, skipped, warnings }. Events already imported (same UID) are skipped, and so are reminders
+// from our own export that are still here (the UID is the reminder's id).
+const calendarUpload = accept('file', { types: ['text/calendar', 'text/plain'], maxSize: 1024 * 1024 });
+const calendarImportBody = { ics: optional(string({ max: 1024 * 1024 })), type: reminderType, tone: toneField };
+// Each event goes through the same checks as POST /api/reminders: our own exports carry the reminder as
+// JSON, which is anything the file says. type and tone fall back to the request's.
+const calendarReminder = { ...reminderBody, uid: optional(nullable(string({ max: 255 }))), name: string({ max: 100 }), type: optional(oneOf(REMINDER_TYPES)) };
+
+app.post('/api/calendar/import', calendarUpload, express.text({ type: 'text/calendar', limit: '1mb' }), (req, res) => {
+  // the options come with a JSON or multipart body; a text/calendar body is the calendar itself
+  let options;
+  try { options = check(calendarImportBody, typeof req.body === 'object' && req.body ? req.body : {}); } catch (e) { return res.status(400).json({ error: e.message }); }
+  const text = req.file ? req.file.buffer.toString('utf8') : typeof req.body === 'string' ? req.body : options.ics;
+  if (!text) return res.status(400).json({ error: 'an .ics file is required' });
+  const { type, tone } = options;
+  const userZone = userTimeZone(req.user);
+  let parsed;
+  try { parsed = importCalendar(text, { timeZone: userZone }); } catch (e) { return res.status(400).json({ error: e.message }); }
+  const created = [];
+  const skipped = parsed.skipped;
+  const active = activeMedicationNames(req.user.id);
+  parsed.reminders.forEach(event => {
+    let item;
+    try { item = check(calendarReminder, event); } catch (e) { return skipped.push({ uid: event.uid, name: event.name, error: e.message }); }
+    if (item.uid && store.find('reminders', r => r.userId === req.user.id && (r.icalUid === item.uid || r.id === item.uid)).length) {
+      return skipped.push({ uid: item.uid, name: item.name, error: 'already imported' });
+    }
+    // events in the user's own zone follow them when they travel; others stay pinned to their zone
+    const timezone = item.timezone && item.timezone !== userZone ? item.timezone : null;
+    const zone = timezone || userZone;
+    const rem = { id: uuidv4(), userId: req.user.id, name: item.name, type: item.type || type, tone: item.tone || tone, toneFile: null, timezone, icalUid: item.uid || null, createdAt: clock.now().toISOString(), fired: false };
+    try {
+      if (item.schedule) rem.schedule = normalizeRule(item.schedule, zone, clock.now());
+      else rem.time = parseInZone(item.time, zone).toISOString();
+      if (item.stock) rem.stock = normalizeStock(item.stock);
+    } catch (e) {
+      return skipped.push({ uid: item.uid, name: item.name, error: e.message });
+    }
+    // past one-off events come across as history only
+    if (rem.time && new Date(rem.time) <= clock.now()) rem.fired = true;
+    store.insert('reminders', rem);
+    created.push(rem);
   });
+  created.forEach(rem => { scheduleReminder(rem); scheduleRefill(rem); });
+  const warnings = checkMedications(created.map(r => r.name), active);
+  res.json({ created, skipped, warnings });
+});
+
+// Caregivers: a patient invites someone by email; once they accept, their account can read the patient's
+// reminders, doses and adherence and gets a push when a dose goes unacknowledged.
+// Accepting takes the one-time code mailed to the invited address: account emails are never checked, so
+// signing up with that address proves nothing. Without email on the server the patient is given the code
+// to pass on.
+//   caregivers: { id, patientId, email, caregiverId, status: pending|accepted, invite: { id, sentAt, expiresAt } | null,
+//                 createdAt, acceptedAt }
+const INVITE_DAYS = 7;
+// how many invitations a patient can have waiting
+const MAX_PENDING_INVITES = 10;
+
+function caregiverView(link) {
+  const user = link.caregiverId ? store.get('users', link.caregiverId) : null;
+  return { id: link.id, email: link.email, name: user ? user.name : null, status: link.status, createdAt: link.createdAt, acceptedAt: link.acceptedAt || null, expiresAt: link.invite ? link.invite.expiresAt : null };
 }
 
-// schedule any future reminders on startup
-(function scheduleAll() {
-  const rows = db.prepare('SELECT * FROM reminders').all();
-  for (const r of rows) {
-    const rem = { id: r.id, medName: r.medName, time: r.time, type: r.type, tone: r.tone, filePath: r.filePath };
-    scheduleReminder(rem);
+function invitationMessage(patient, code) {
+  return {
+    kind: 'invite',
+    title: `${patient.name || patient.email} invited you to Medicine Reminder`,
+    body: `${patient.name || patient.email} would like you as a caregiver: you would see their medicines and doses, and hear when one is missed.\n\n` +
+      `To accept, log in (or create an account) and enter this code under Caregivers:\n\n${code}\n\n` +
+      `The code works once and expires in ${INVITE_DAYS} days. If you weren't expecting this, ignore this email.`
+  };
+}
+
+// the pending, unexpired invitation a code belongs to, or null
+function invitationFor(code) {
+  const id = tokenId(code);
+  const link = store.find('caregivers', c => c.status === 'pending' && c.invite && c.invite.id === id)[0];
+  return link && new Date(link.invite.expiresAt) > clock.now() ? link : null;
+}
+
+app.get('/api/caregivers', (req, res) => {
+  res.json(store.find('caregivers', c => c.patientId === req.user.id).map(caregiverView));
+});
+
+// body: { email }. Inviting someone whose invitation is still pending sends a new code, and the old one
+// stops working. -> the caregiver, plus `code` when it couldn't be emailed
+app.post('/api/caregivers', validate({ body: { email: email() } }), async (req, res) => {
+  const { email } = req.body;
+  const now = clock.now();
+  if (email === req.user.email) return res.status(400).json({ error: 'you cannot be your own caregiver' });
+  const existing = store.find('caregivers', c => c.patientId === req.user.id && c.email === email)[0];
+  if (existing && existing.status !== 'pending') return res.status(409).json({ error: 'this person is already your caregiver' });
+  if (existing && existing.invite && now - new Date(existing.invite.sentAt) < RESEND_MINUTES * 60 * 1000) {
+    return res.status(429).json({ error: `an invitation was sent to ${email} in the last ${RESEND_MINUTES} minutes` });
+  }
+  if (!existing && store.find('caregivers', c => c.patientId === req.user.id && c.status === 'pending').length >= MAX_PENDING_INVITES) {
+    return res.status(429).json({ error: `at most ${MAX_PENDING_INVITES} invitations can wait to be accepted` });
   }
-})();
+  const { code, id } = createCode();
+  const emailed = dispatcher.channels.email.configured;
+  if (emailed) {
+    try { await dispatcher.sendNow('email', email, invitationMessage(req.user, code)); } catch (e) { return res.status(502).json({ error: `the invitation email could not be sent: ${e.message}` }); }
+  }
+  const invite = { id, sentAt: now.toISOString(), expiresAt: new Date(now.getTime() + INVITE_DAYS * 24 * 3600 * 1000).toISOString() };
+  const link = existing
+    ? store.update('caregivers', existing.id, { invite })
+    : store.insert('caregivers', { id: uuidv4(), patientId: req.user.id, email, caregiverId: null, status: 'pending', invite, createdAt: now.toISOString() });
+  res.status(existing ? 200 : 201).json({ ...caregiverView(link), code: emailed ? null : code });
+});
 
-app.get('/api/reminders', (req, res) => {
-  const rows = db.prepare('SELECT * FROM reminders ORDER BY time').all();
-  res.json(rows);
+// either side can end the link: the patient revoking access or the caregiver stepping away
+app.delete('/api/caregivers/:id', (req, res) => {
+  const link = store.get('caregivers', req.params.id);
+  if (!link || (link.patientId !== req.user.id && link.caregiverId !== req.user.id)) return res.status(404).json({ error: 'not found' });
+  store.remove('caregivers', link.id);
+  res.json({ removed: link.id });
 });
 
-app.post('/api/reminders', upload.single('toneFile'), (req, res) => {
-  const id = uuidv4();
-  const medName = req.body.medName;
-  const time = req.body.time;
-  const type = req.body.type || 'alarm';
-  const tone = req.body.tone || 'tone1';
-  const filePath = req.file ? req.file.path : null;
-  if (!medName || !time) return res.status(400).json({ error: 'medName and time required' });
-  const createdAt = new Date().toISOString();
-  db.prepare('INSERT INTO reminders (id, medName, time, type, tone, filePath, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)')
-    .run(id, medName, time, type, tone, filePath, createdAt);
-  const reminder = { id, medName, time, type, tone, filePath };
-  scheduleReminder(reminder);
-  res.json(reminder);
+// body: { code } from the invitation email; the logged-in account becomes the caregiver -> the patient
+app.post('/api/caregivers/invitations/accept', validate({ body: { code: string({ max: 100 }) } }), (req, res) => {
+  const link = invitationFor(req.body.code.trim());
+  if (!link) return res.status(404).json({ error: 'this invitation code is not valid or has expired' });
+  if (link.patientId === req.user.id) return res.status(400).json({ error: 'you cannot be your own caregiver' });
+  if (caregiversOf(link.patientId).some(c => c.caregiverId === req.user.id)) return res.status(409).json({ error: 'you already look after this person' });
+  const updated = store.update('caregivers', link.id, { status: 'accepted', caregiverId: req.user.id, invite: null, acceptedAt: clock.now().toISOString() });
+  const patient = store.get('users', link.patientId);
+  res.json({ id: link.patientId, name: patient ? patient.name : null, email: patient ? patient.email : null, since: updated.acceptedAt });
 });
 
-app.delete('/api/reminders/:id', (req, res) => {
-  const id = req.params.id;
-  const stmt = db.prepare('DELETE FROM reminders WHERE id = ?');
-  const info = stmt.run(id);
-  // cancel scheduled job
-  const job = schedule.scheduledJobs[id];
-  if (job) job.cancel();
-  res.json({ deleted: info.changes });
+// Patients the logged-in user looks after, and read-only views of their data
+function patientLink(req) {
+  return store.find('caregivers', c => c.patientId === req.params.id && c.caregiverId === req.user.id && c.status === 'accepted')[0];
+}
+
+app.get('/api/patients', (req, res) => {
+  res.json(store.find('caregivers', c => c.caregiverId === req.user.id && c.status === 'accepted').map(c => {
+    const patient = store.get('users', c.patientId);
+    return { id: c.patientId, name: patient ? patient.name : null, email: patient ? patient.email : null, since: c.acceptedAt };
+  }));
 });
 
-app.post('/api/subscribe', (req, res) => {
+app.get('/api/patients/:id/reminders', validate({ query: limitQuery }), (req, res) => {
+  if (!patientLink(req)) return res.status(404).json({ error: 'not found' });
+  res.json(reminderList(req.params.id, req.query.limit));
+});
+
+app.get('/api/patients/:id/doses', validate({ query: doseQuery }), (req, res) => {
+  if (!patientLink(req)) return res.status(404).json({ error: 'not found' });
+  res.json(doseList(req.params.id, req.query));
+});
+
+app.get('/api/patients/:id/adherence', validate({ query: weeksQuery }), (req, res) => {
+  if (!patientLink(req)) return res.status(404).json({ error: 'not found' });
+  res.json(summarizeAdherence(store.find('doses', d => d.userId === req.params.id), clock.now(), req.query.weeks || null, userTimeZone(store.get('users', req.params.id))));
+});
+
+// web push subscriptions; re-subscribing the same endpoint replaces its keys and moves it to whoever
+// is logged in now (a shared browser only has one push endpoint)
+const subscriptionBody = {
+  endpoint: url(),
+  keys: optional(object({ p256dh: string({ max: 200 }), auth: string({ max: 100 }) }), {})
+};
+
+app.post('/api/subscribe', validate({ body: subscriptionBody }), (req, res) => {
   const sub = req.body;
-  if (!sub || !sub.endpoint) return res.status(400).json({ error: 'Invalid subscription' });
+  const existing = store.find('subscriptions', s => s.endpoint === sub.endpoint)[0];
+  if (existing) {
+    store.update('subscriptions', existing.id, { keys: sub.keys, userId: req.user.id });
+    return res.json({ id: existing.id });
+  }
   const id = uuidv4();
-  const createdAt = new Date().toISOString();
-  db.prepare('INSERT INTO subscriptions (id, endpoint, keys, createdAt) VALUES (?, ?, ?, ?)')
-    .run(id, sub.endpoint, JSON.stringify(sub.keys || {}), createdAt);
+  store.insert('subscriptions', { id, userId: req.user.id, endpoint: sub.endpoint, keys: sub.keys, createdAt: clock.now().toISOString() });
   res.json({ id });
 });
 
-app.get('/api/vapidPublicKey', (req, res) => {
-  res.json({ publicKey: VAPID_PUBLIC });
+// Email goes only to an address confirmed with the code mailed to it, so an account can't point reminders
+// or test messages at someone else's inbox. Turning email on, or changing the address, sends the code.
+//   users.emailConfirmation: { id, address, sentAt, expiresAt } while a code is outstanding
+const CONFIRM_HOURS = 24;
+
+function confirmationMessage(code) {
+  return {
+    kind: 'confirm',
+    title: 'Confirm your email for Medicine Reminder',
+    body: `To get medicine reminders at this address, enter this code under Notifications:\n\n${code}\n\n` +
+      `It expires in ${CONFIRM_HOURS} hours. If you didn't ask for this, ignore this email and nothing more will be sent here.`
+  };
+}
+
+// the address waiting for its code, or null
+function pendingEmail(user) {
+  const pending = user.emailConfirmation;
+  return pending && new Date(pending.expiresAt) > clock.now() ? pending.address : null;
+}
+
+// notification channels: { push, email, emailAddress, emailConfirmed, webhook, webhookUrl }, the address
+// waiting to be confirmed (emailPending), and which channels the server has configured so the client can
+// grey out the rest
+app.get('/api/notifications/preferences', (req, res) => {
+  const user = store.get('users', req.user.id);
+  const configured = Object.fromEntries(Object.values(dispatcher.channels).map(c => [c.name, c.configured]));
+  res.json({ ...preferencesFor(user), emailPending: pendingEmail(user), configured });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server listening on port ${PORT}`));
+const preferencesBody = {
+  push: optional(boolean()),
+  email: optional(boolean()),
+  webhook: optional(boolean()),
+  emailAddress: optional(nullable(email())),
+  webhookUrl: optional(nullable(url()))
+};
+
+app.put('/api/notifications/preferences', validate({ body: preferencesBody }), async (req, res) => {
+  if (req.body.webhookUrl) {
+    try { await checkWebhookUrl(req.body.webhookUrl); } catch (e) { return res.status(400).json({ error: e.message }); }
+  }
+  const user = store.get('users', req.user.id);
+  const prefs = preferencesFor(user);
+  for (const field of Object.keys(preferencesBody)) {
+    if (req.body[field] !== undefined) prefs[field] = req.body[field];
+  }
+  if (prefs.webhook && !prefs.webhookUrl) return res.status(400).json({ error: 'webhookUrl is required to turn on webhooks' });
+  let confirmation = user.emailConfirmation || null;
+  const address = prefs.emailAddress || user.email;
+  if (prefs.email && address !== prefs.emailConfirmed && dispatcher.channels.email.configured) {
+    const now = clock.now();
+    const recent = confirmation && now - new Date(confirmation.sentAt) < RESEND_MINUTES * 60 * 1000;
+    if (recent && confirmation.address !== address) return res.status(429).json({ error: `a confirmation email was sent in the last ${RESEND_MINUTES} minutes` });
+    if (!recent) {
+      const { code, id } = createCode();
+      try { await dispatcher.sendNow('email', address, confirmationMessage(code)); } catch (e) { return res.status(502).json({ error: `the confirmation email could not be sent: ${e.message}` }); }
+      confirmation = { id, address, sentAt: now.toISOString(), expiresAt: new Date(now.getTime() + CONFIRM_HOURS * 3600 * 1000).toISOString() };
+    }
+  }
+  const updated = store.update('users', req.user.id, { notifications: prefs, emailConfirmation: confirmation });
+  res.json({ ...prefs, emailPending: pendingEmail(updated) });
+});
+
+// body: { code } from the confirmation email
+app.post('/api/notifications/email/confirm', validate({ body: { code: string({ max: 100 }) } }), (req, res) => {
+  const user = store.get('users', req.user.id);
+  const pending = user.emailConfirmation;
+  if (!pendingEmail(user) || pending.id !== tokenId(req.body.code.trim())) return res.status(400).json({ error: 'this confirmation code is not valid or has expired' });
+  const prefs = { ...preferencesFor(user), emailConfirmed: pending.address };
+  store.update('users', user.id, { notifications: prefs, emailConfirmation: null });
+  res.json({ ...prefs, emailPending: null });
+});
+
+// delivery log, newest first (?status, ?channel, ?limit default 50)
+const deliveriesQuery = {
+  status: optional(oneOf(['pending', 'sent', 'failed', 'expired'])),
+  channel: optional(oneOf(['push', 'email', 'webhook'])),
+  limit: optional(number({ min: 1, max: 500, integer: true }), 50)
+};
+
+app.get('/api/notifications/deliveries', validate({ query: deliveriesQuery }), (req, res) => {
+  const { status, channel, limit } = req.query;
+  const list = store.find('deliveries', d => d.userId === req.user.id && (!status || d.status === status) && (!channel || d.channel === channel))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  res.json(list.slice(0, limit));
+});
+
+// sends a test message on every enabled channel and returns the first attempt of each
+app.post('/api/notifications/test', async (req, res) => {
+  const deliveries = await dispatcher.send(req.user.id, { kind: 'test', title: 'Test notification', body: 'Notifications from Medicine Reminder are working.' });
+  res.json(deliveries);
+});
+
+// bodies that don't parse, or are too big, get a JSON error like everything else
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'request body is not valid JSON' });
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'request body is too large' });
+  console.error(err);
+  res.status(500).json({ error: 'internal error' });
+});
+
+// Starts the job queue (catching up on whatever came due while the server was down) and notification retries
+function start() {
+  scheduleAll();
+  dispatcher.resume();
+}
+
+// `node server.js` listens; tests require the app and call start() themselves (see test/helpers.js)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    start();
+    console.log(`Medicine reminder backend running on http://localhost:${PORT} (${store.type} storage)`);
+  });
+}
+
+module.exports = { app, store, jobs, start };
@@ -0,0 +1,25 @@
+const path = require('path');
+
+// Storage interface shared by both backends. Collections are arrays of documents with an `id`:
+//   all(collection), get(collection, id), insert(collection, doc),
+//   update(collection, id, patch), remove(collection, id), find(collection, predicate), close()
+// Pick the backend with STORAGE=json (default, db.json) or STORAGE=sqlite (data.db).
+function createStore(options = {}) {
+  const type = options.type || process.env.STORAGE || 'json';
+  let store;
+  if (type === 'json') {
+    const { createJsonStore } = require('./jsonStore');
+    store = createJsonStore(options.path || process.env.DB_PATH || path.join(__dirname, '..', 'db.json'));
+  } else if (type === 'sqlite') {
+    // required lazily so the JSON backend works without the native module installed
+    const { createSqliteStore } = require('./sqliteStore');
+    store = createSqliteStore(options.path || process.env.SQLITE_PATH || path.join(__dirname, '..', 'data.db'));
+  } else {
+    throw new Error(`Unknown STORAGE "${type}" (expected json or sqlite)`);
+  }
+  store.type = type;
+  store.find = (name, predicate) => store.all(name).filter(predicate);
+  return store;
+}
+
+module.exports = { createStore };
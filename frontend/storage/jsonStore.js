@@ -0,0 +1,58 @@
+const fs = require('fs');
+
+// Whole store lives in one JSON file ({ reminders: [...], doses: [...], ... }), rewritten on every change.
+// This is the format db.json has always used, so an existing db.json opens as-is.
+function createJsonStore(filePath) {
+  let data = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      console.error(`Failed to parse ${filePath}, starting fresh`, e);
+      data = {};
+    }
+  }
+
+  function save() {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  }
+
+  function collection(name) {
+    return data[name] || (data[name] = []);
+  }
+
+  // callers get copies, like they would from SQLite, so changes only stick through update()
+  const copy = doc => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+  return {
+    all(name) {
+      return collection(name).map(copy);
+    },
+    get(name, id) {
+      return copy(collection(name).find(d => d.id === id));
+    },
+    insert(name, doc) {
+      collection(name).push(copy(doc));
+      save();
+      return copy(doc);
+    },
+    update(name, id, patch) {
+      const doc = collection(name).find(d => d.id === id);
+      if (!doc) return null;
+      Object.assign(doc, copy(patch));
+      save();
+      return copy(doc);
+    },
+    remove(name, id) {
+      const list = collection(name);
+      const idx = list.findIndex(d => d.id === id);
+      if (idx === -1) return null;
+      const [doc] = list.splice(idx, 1);
+      save();
+      return doc;
+    },
+    close() {}
+  };
+}
+
+module.exports = { createJsonStore };
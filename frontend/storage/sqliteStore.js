@@ -0,0 +1,57 @@
+const Database = require('better-sqlite3');
+
+// Documents are stored as JSON in a single table keyed by (collection, id), so every collection
+// has the same shape as in the JSON store. Legacy tables in the same file (the old `reminders`
+// and `subscriptions`) are left alone; migrate.js imports them.
+function createSqliteStore(filePath) {
+  const db = new Database(filePath);
+  db.exec(`
+CREATE TABLE IF NOT EXISTS documents (
+  collection TEXT NOT NULL,
+  id TEXT NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (collection, id)
+);
+`);
+
+  const stmts = {
+    all: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY rowid'),
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    insert: db.prepare('INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    update: db.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?'),
+    remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?')
+  };
+
+  const parse = row => (row ? JSON.parse(row.data) : null);
+
+  const store = {
+    all(name) {
+      return stmts.all.all(name).map(parse);
+    },
+    get(name, id) {
+      return parse(stmts.get.get(name, id));
+    },
+    insert(name, doc) {
+      stmts.insert.run(name, doc.id, JSON.stringify(doc));
+      return JSON.parse(JSON.stringify(doc));
+    },
+    update: db.transaction((name, id, patch) => {
+      const doc = store.get(name, id);
+      if (!doc) return null;
+      Object.assign(doc, patch);
+      stmts.update.run(JSON.stringify(doc), name, id);
+      return doc;
+    }),
+    remove(name, id) {
+      const doc = store.get(name, id);
+      if (doc) stmts.remove.run(name, id);
+      return doc;
+    },
+    close() {
+      db.close();
+    }
+  };
+  return store;
+}
+
+module.exports = { createSqliteStore };
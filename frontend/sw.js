@@ -0,0 +1,235 @@
+// Service worker for remainder.html.
+//  - Shows web pushes from the server; reminder pushes get Taken / Snooze buttons that update the dose
+//    without opening the page.
+//  - Keeps the last reminder, dose and adherence lists (and the page itself) so the page still has
+//    something to show when the API can't be reached. Those responses carry X-Offline-Cache with the
+//    time they were saved.
+//  - Reminders created and doses acknowledged while offline are answered with 202 { queued: true } and
+//    kept in an IndexedDB outbox until the connection returns (Background Sync where the browser has it,
+//    otherwise the next time the page or the API is reachable again).
+const API_BASE = 'http://localhost:3000';
+const CACHE = 'medicine-reminder-v1';
+const PAGES = ['remainder.html'];
+const CACHED_API = ['/api/reminders', '/api/doses', '/api/adherence'];
+// POSTs worth keeping for later: new reminders and dose acknowledgements
+const QUEUED_API = [/^\/api\/reminders$/, /^\/api\/prescription-to-reminders$/, /^\/api\/doses\/[^/]+\/[a-z]+$/, /^\/api\/reminders\/[^/]+\/doses$/];
+const SNOOZE_MINUTES = 10;
+
+// IndexedDB: `settings` holds the login token (the page sends it; workers can't read localStorage),
+// `outbox` the queued requests { id, method, path, headers, body, label, queuedAt }
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open('medicine-reminder', 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('settings');
+      req.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const getToken = () => withStore('settings', 'readonly', s => s.get('token'));
+
+async function broadcast(message) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+async function broadcastOutbox(synced = 0) {
+  const count = await withStore('outbox', 'readonly', s => s.count());
+  broadcast({ type: 'outbox', count, synced });
+}
+
+function describeRequest(path, body) {
+  const dose = path.match(/^\/api\/doses\/[^/]+\/([a-z]+)$/);
+  if (dose) return `dose marked ${dose[1]}`;
+  try {
+    const data = JSON.parse(body);
+    if (path === '/api/reminders') return `reminder "${data.name || data.medName}"`;
+    if (path === '/api/prescription-to-reminders') return `reminder for ${data.parsed.map(p => `"${p.name}"`).join(', ')}`;
+    return `dose marked ${data.status}`;
+  } catch (e) {
+    return path;
+  }
+}
+
+async function enqueue(item) {
+  await withStore('outbox', 'readwrite', s => s.add({ ...item, label: describeRequest(item.path, item.body), queuedAt: new Date().toISOString() }));
+  if (self.registration.sync) await self.registration.sync.register('outbox').catch(() => {});
+  broadcastOutbox();
+}
+
+// Send everything queued, oldest first. Stops (leaving the rest queued) while the network or the server
+// is down; requests the server rejects are dropped and reported to the page.
+let flushing = null;
+function flushOutbox() {
+  if (!flushing) flushing = sendQueued().finally(() => { flushing = null; });
+  return flushing;
+}
+
+async function sendQueued() {
+  const items = await withStore('outbox', 'readonly', s => s.getAll());
+  let synced = 0;
+  try {
+    for (const item of items) {
+      const res = await fetch(`${API_BASE}${item.path}`, { method: item.method, headers: item.headers, body: item.body });
+      if (res.status >= 500) throw new Error(`server error ${res.status}`);
+      await withStore('outbox', 'readwrite', s => s.delete(item.id));
+      if (res.ok) synced++;
+      else {
+        const data = await res.json().catch(() => ({}));
+        broadcast({ type: 'sync-failed', label: item.label, error: data.error || `HTTP ${res.status}` });
+      }
+    }
+  } finally {
+    if (items.length) await broadcastOutbox(synced);
+  }
+}
+
+// POST that falls back to the outbox when the request can't be sent at all
+async function sendOrQueue(request) {
+  const url = new URL(request.url);
+  const body = await request.clone().text();
+  try {
+    return await fetch(request);
+  } catch (e) {
+    await enqueue({
+      method: request.method,
+      path: url.pathname + url.search,
+      headers: { 'Content-Type': request.headers.get('Content-Type') || 'application/json', Authorization: request.headers.get('Authorization') },
+      body
+    });
+    return new Response(JSON.stringify({ queued: true }), { status: 202, headers: { 'Content-Type': 'application/json' } });
+  }
+}
+
+// GET from the network, keeping a copy; the copy answers when the network can't
+async function networkFirst(request, cacheKey) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const headers = { 'Content-Type': res.headers.get('Content-Type') || 'application/json', 'X-Cached-At': new Date().toISOString() };
+      await cache.put(cacheKey, new Response(await res.clone().blob(), { status: res.status, headers }));
+      // we're online, so anything still queued can go now
+      flushOutbox().catch(() => {});
+    }
+    return res;
+  } catch (e) {
+    const cached = await cache.match(cacheKey);
+    if (!cached) throw e;
+    return new Response(cached.body, {
+      status: cached.status,
+      headers: { 'Content-Type': cached.headers.get('Content-Type'), 'X-Offline-Cache': cached.headers.get('X-Cached-At') }
+    });
+  }
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PAGES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.mode === 'navigate' && PAGES.some(p => url.pathname.endsWith(`/${p}`))) {
+    return event.respondWith(networkFirst(request, new URL(url.pathname, url.origin).href));
+  }
+  if (url.origin !== new URL(API_BASE).origin) return;
+  // query strings differ between calls (?since=...), so the latest response per path is kept
+  if (request.method === 'GET' && CACHED_API.includes(url.pathname)) {
+    return event.respondWith(networkFirst(request, `${API_BASE}${url.pathname}`));
+  }
+  const json = !request.headers.get('Content-Type') || request.headers.get('Content-Type').startsWith('application/json');
+  if (request.method === 'POST' && json && QUEUED_API.some(re => re.test(url.pathname))) {
+    event.respondWith(sendOrQueue(request));
+  }
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag === 'outbox') event.waitUntil(flushOutbox());
+});
+
+// from the page: { type: 'token', token } after it loads, { type: 'flush' } when it comes back online,
+// { type: 'logout' } to forget the token, the queue and the cached lists
+self.addEventListener('message', event => {
+  const { type, token } = event.data || {};
+  if (type === 'token') event.waitUntil(withStore('settings', 'readwrite', s => s.put(token, 'token')).then(() => broadcastOutbox()));
+  if (type === 'flush') event.waitUntil(flushOutbox().catch(() => {}));
+  if (type === 'logout') {
+    event.waitUntil(Promise.all([
+      withStore('settings', 'readwrite', s => s.delete('token')),
+      withStore('outbox', 'readwrite', s => s.clear()),
+      caches.open(CACHE).then(cache => Promise.all(CACHED_API.map(p => cache.delete(`${API_BASE}${p}`))))
+    ]));
+  }
+});
+
+// payload: the dispatcher's message { kind, title, body, data } (see notifications/index.js)
+self.addEventListener('push', event => {
+  const message = event.data ? event.data.json() : {};
+  const data = message.data || {};
+  const actions = message.kind === 'reminder' && data.doseId
+    ? [{ action: 'taken', title: 'Taken' }, { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` }]
+    : [];
+  event.waitUntil(self.registration.showNotification(message.title || 'Medicine Reminder', {
+    body: message.body,
+    tag: data.doseId || message.kind,
+    renotify: true,
+    requireInteraction: data.type === 'alarm',
+    actions,
+    data: message
+  }));
+});
+
+self.addEventListener('notificationclick', event => {
+  const message = event.notification.data || {};
+  const data = message.data || {};
+  event.notification.close();
+  if ((event.action === 'taken' || event.action === 'snooze') && data.doseId) {
+    event.waitUntil(acknowledge(data.doseId, event.action));
+  } else {
+    event.waitUntil(openPage());
+  }
+});
+
+async function acknowledge(doseId, action) {
+  const token = await getToken();
+  if (!token) return openPage();
+  const status = action === 'taken' ? 'taken' : 'snoozed';
+  const request = new Request(`${API_BASE}/api/doses/${doseId}/${status}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(status === 'snoozed' ? { minutes: SNOOZE_MINUTES } : {})
+  });
+  const res = await sendOrQueue(request);
+  if (res.status === 202) return;
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    return self.registration.showNotification('Could not update dose', { body: data.error || `HTTP ${res.status}` });
+  }
+  broadcast({ type: 'updated' });
+}
+
+async function openPage() {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const open = clients.find(c => PAGES.some(p => new URL(c.url).pathname.endsWith(`/${p}`)));
+  return open ? open.focus() : self.clients.openWindow(PAGES[0]);
+}
@@ -0,0 +1,25 @@
+// Weekly adherence (adherence.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { weekStart, summarizeAdherence } = require('../adherence');
+
+test('weeks start on Monday on the patient\'s clock', () => {
+  // Sunday evening in New York is already Monday in UTC
+  assert.equal(weekStart('2025-03-10T00:30:00Z', 'America/New_York'), '2025-03-03');
+  assert.equal(weekStart('2025-03-10T00:30:00Z', 'UTC'), '2025-03-10');
+  // and Sunday evening in UTC is Monday morning in Tokyo
+  assert.equal(weekStart('2025-03-09T20:00:00Z', 'Asia/Tokyo'), '2025-03-10');
+  assert.equal(weekStart('2025-01-01T12:00:00Z', 'UTC'), '2024-12-30');
+});
+
+test('doses are grouped by the week they fell in for the patient', () => {
+  const doses = [
+    { name: 'Losartan', scheduledFor: '2025-03-09T22:00:00Z', status: 'taken' },
+    { name: 'Losartan', scheduledFor: '2025-03-10T02:00:00Z', status: 'skipped' },
+    { name: 'Losartan', scheduledFor: '2025-03-10T14:00:00Z', status: 'pending' }
+  ];
+  const weeks = zone => summarizeAdherence(doses, new Date('2025-03-12T00:00:00Z'), null, zone).map(w => [w.week, w.total, w.percentage]);
+  // 10 March 02:00Z is still Sunday the 9th in New York
+  assert.deepEqual(weeks('America/New_York'), [['2025-03-10', 1, 0], ['2025-03-03', 2, 50]]);
+  assert.deepEqual(weeks('UTC'), [['2025-03-10', 2, 0], ['2025-03-03', 1, 100]]);
+});
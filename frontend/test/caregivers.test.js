@@ -0,0 +1,90 @@
+// Caregiver invitations through the HTTP API: the code mailed to the invited address is what accepts one
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMailServer, startServer } = require('./helpers');
+
+let app;
+let mail;
+
+before(async () => {
+  mail = await startMailServer();
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(mail.port);
+  app = await startServer('2025-05-01T09:00:00Z');
+});
+
+after(async () => {
+  await app.close();
+  await mail.close();
+});
+
+async function account() {
+  const token = await app.register();
+  const me = await app.request('GET', '/api/auth/me', { token });
+  return { token, email: me.body.email };
+}
+
+// the code in the last invitation mailed to `email`
+function mailedCode(email) {
+  const message = mail.messages.filter(m => m.to.includes(email)).pop();
+  assert.ok(message, `nothing was mailed to ${email}`);
+  return message.text.match(/^([0-9a-f]{32})$/m)[1];
+}
+
+test('the invited person accepts with the code from their email', async () => {
+  const patient = await account();
+  const carer = await account();
+  const invited = await app.request('POST', '/api/caregivers', { token: patient.token, body: { email: carer.email } });
+  assert.equal(invited.status, 201);
+  assert.equal(invited.body.status, 'pending');
+  // the code goes to the mailbox, not back to the patient
+  assert.equal(invited.body.code, null);
+  const accepted = await app.request('POST', '/api/caregivers/invitations/accept', { token: carer.token, body: { code: mailedCode(carer.email) } });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.email, patient.email);
+
+  const caregivers = await app.request('GET', '/api/caregivers', { token: patient.token });
+  assert.deepEqual(caregivers.body.map(c => [c.email, c.status]), [[carer.email, 'accepted']]);
+  const patients = await app.request('GET', '/api/patients', { token: carer.token });
+  assert.deepEqual(patients.body.map(p => p.email), [patient.email]);
+  assert.equal((await app.request('GET', `/api/patients/${accepted.body.id}/reminders`, { token: carer.token })).status, 200);
+});
+
+test('nobody else can accept: not without the code, not with the invited email, and not twice', async () => {
+  const patient = await account();
+  const carer = await account();
+  const other = await account();
+  const invited = await app.request('POST', '/api/caregivers', { token: patient.token, body: { email: carer.email } });
+  const code = mailedCode(carer.email);
+
+  // the old way in: being logged in with the invited email
+  assert.equal((await app.request('POST', `/api/caregivers/invitations/${invited.body.id}/accept`, { token: carer.token, body: {} })).status, 404);
+  assert.equal((await app.request('GET', '/api/caregivers/invitations', { token: carer.token })).status, 404);
+  assert.equal((await app.request('POST', '/api/caregivers/invitations/accept', { token: other.token, body: { code: 'f'.repeat(32) } })).status, 404);
+  assert.equal((await app.request('POST', '/api/caregivers/invitations/accept', { token: patient.token, body: { code } })).status, 400);
+
+  assert.equal((await app.request('POST', '/api/caregivers/invitations/accept', { token: carer.token, body: { code } })).status, 200);
+  assert.equal((await app.request('POST', '/api/caregivers/invitations/accept', { token: other.token, body: { code } })).status, 404);
+  assert.equal((await app.request('GET', `/api/patients/${invited.body.id}/reminders`, { token: other.token })).status, 404);
+  const patients = await app.request('GET', '/api/patients', { token: other.token });
+  assert.deepEqual(patients.body, []);
+});
+
+test('a new invitation replaces the old code, and codes expire', async () => {
+  const patient = await account();
+  const carer = await account();
+  await app.request('POST', '/api/caregivers', { token: patient.token, body: { email: carer.email } });
+  const first = mailedCode(carer.email);
+  const tooSoon = await app.request('POST', '/api/caregivers', { token: patient.token, body: { email: carer.email } });
+  assert.equal(tooSoon.status, 429);
+
+  app.clock.advance(15 * 60 * 1000);
+  const again = await app.request('POST', '/api/caregivers', { token: patient.token, body: { email: carer.email } });
+  assert.equal(again.status, 200);
+  const second = mailedCode(carer.email);
+  assert.notEqual(second, first);
+  assert.equal((await app.request('POST', '/api/caregivers/invitations/accept', { token: carer.token, body: { code: first } })).status, 404);
+
+  app.clock.advance(8 * 24 * 3600 * 1000);
+  assert.equal((await app.request('POST', '/api/caregivers/invitations/accept', { token: carer.token, body: { code: second } })).status, 404);
+});
@@ -0,0 +1,51 @@
+// Drug interaction and duplicate-therapy checks (drugInteractions.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { identifyDrug, checkMedications } = require('../drugInteractions');
+
+const summary = warnings => warnings.map(w => [w.type, w.severity, ...w.drugs]);
+
+test('brand names and dose text resolve to the generic', () => {
+  assert.equal(identifyDrug('Tab. Crocin 650 (2 tablets)'), 'paracetamol');
+  assert.equal(identifyDrug('Augmentin 625 Duo'), 'amoxicillin-clavulanate');
+  assert.equal(identifyDrug('Potassium Chloride 600mg'), 'potassiumChloride');
+  assert.equal(identifyDrug('Ferrous Sulphate 200mg'), 'iron');
+});
+
+test('words that only look like a drug name are not matched', () => {
+  assert.equal(identifyDrug('Pan D 40'), null);
+  assert.equal(identifyDrug('Mox 500'), null);
+  assert.equal(identifyDrug('Aten 50'), null);
+  assert.equal(identifyDrug('Iron tonic (2 tsp)'), null);
+  assert.equal(identifyDrug('Vitamin D3 60000 IU'), null);
+  assert.deepEqual(checkMedications(['Pan 40'], ['Levothyroxine 50mcg']), []);
+});
+
+test('known interactions are reported either way round, most severe first', () => {
+  const warnings = checkMedications(['Brufen 400'], ['Warfarin 5mg', 'Ramipril 5mg']);
+  assert.deepEqual(summary(warnings), [
+    ['interaction', 'major', 'ibuprofen', 'warfarin'],
+    ['interaction', 'moderate', 'ibuprofen', 'ramipril']
+  ]);
+  assert.deepEqual(summary(checkMedications(['Warfarin 5mg'], ['Brufen 400'])), [['interaction', 'major', 'warfarin', 'ibuprofen']]);
+  assert.deepEqual(summary(checkMedications(['Sildenafil 50mg', 'Isosorbide mononitrate 20mg'])), [['interaction', 'major', 'sildenafil', 'isosorbide']]);
+});
+
+test('the same medicine twice is a duplicate', () => {
+  const warnings = checkMedications(['Paracetamol 500mg'], ['Paracetamol 500mg']);
+  assert.deepEqual(summary(warnings), [['duplicate', 'major', 'paracetamol', 'paracetamol']]);
+  assert.match(warnings[0].description, /on the list twice/);
+  assert.deepEqual(summary(checkMedications(['Crocin', 'Crocin'])), [['duplicate', 'major', 'paracetamol', 'paracetamol']]);
+});
+
+test('shared ingredients and same-class medicines are duplicates', () => {
+  assert.deepEqual(summary(checkMedications(['Augmentin 625'], ['Amoxicillin 500mg'])), [['duplicate', 'major', 'amoxicillin-clavulanate', 'amoxicillin']]);
+  assert.deepEqual(summary(checkMedications(['Atorvastatin 10mg'], ['Crestor 10mg'])), [['duplicate', 'moderate', 'atorvastatin', 'rosuvastatin']]);
+  // analgesics aren't a duplicate class, so two different ones are fine
+  assert.deepEqual(checkMedications(['Paracetamol 500mg'], ['Cetirizine 10mg']), []);
+});
+
+test('medicines the dataset does not know give no warnings', () => {
+  assert.deepEqual(checkMedications(['Vitamin D3 60000 IU', 'Probiotic sachet'], ['Warfarin 5mg']), []);
+  assert.deepEqual(checkMedications([], ['Warfarin 5mg', 'Aspirin 75mg']), []);
+});
@@ -0,0 +1,85 @@
+// Notification email through the HTTP API: nothing but the confirmation code goes to an address until
+// its owner enters that code
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMailServer, startServer } = require('./helpers');
+
+let app;
+let mail;
+
+before(async () => {
+  mail = await startMailServer();
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(mail.port);
+  app = await startServer('2025-06-01T09:00:00Z');
+});
+
+after(async () => {
+  await app.close();
+  await mail.close();
+});
+
+const mailTo = address => mail.messages.filter(m => m.to.includes(address));
+const codeIn = message => message.text.match(/^([0-9a-f]{32})$/m)[1];
+
+test('email is switched on for the login address once its code is entered', async () => {
+  const token = await app.register();
+  const { email } = (await app.request('GET', '/api/auth/me', { token })).body;
+  const saved = await app.request('PUT', '/api/notifications/preferences', { token, body: { email: true } });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.emailPending, email);
+  assert.equal(saved.body.emailConfirmed, null);
+  assert.equal(mailTo(email).length, 1);
+  assert.match(mailTo(email)[0].text, /Confirm your email/);
+
+  // nothing goes out by email before the code is entered
+  assert.deepEqual((await app.request('POST', '/api/notifications/test', { token })).body, []);
+  assert.equal(mailTo(email).length, 1);
+
+  assert.equal((await app.request('POST', '/api/notifications/email/confirm', { token, body: { code: '0'.repeat(32) } })).status, 400);
+  const confirmed = await app.request('POST', '/api/notifications/email/confirm', { token, body: { code: codeIn(mailTo(email)[0]) } });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.emailConfirmed, email);
+  const sent = await app.request('POST', '/api/notifications/test', { token });
+  assert.deepEqual(sent.body.map(d => [d.channel, d.target, d.status]), [['email', email, 'sent']]);
+  assert.match(mailTo(email)[1].text, /Notifications from Medicine Reminder are working/);
+});
+
+test('an account can\'t use the server to mail someone else\'s address', async () => {
+  const token = await app.register();
+  const victim = 'someone.else@example.org';
+  await app.request('PUT', '/api/notifications/preferences', { token, body: { email: true, emailAddress: victim } });
+  assert.equal(mailTo(victim).length, 1);
+
+  // asking again sends no more mail, to that address or to a new one
+  const again = await app.request('PUT', '/api/notifications/preferences', { token, body: { email: true, emailAddress: victim } });
+  assert.equal(again.status, 200);
+  const other = await app.request('PUT', '/api/notifications/preferences', { token, body: { emailAddress: 'third@example.org' } });
+  assert.equal(other.status, 429);
+  for (let i = 0; i < 3; i++) await app.request('POST', '/api/notifications/test', { token });
+  assert.equal(mailTo(victim).length, 1);
+  assert.equal(mailTo('third@example.org').length, 0);
+  const log = await app.request('GET', '/api/notifications/deliveries', { token });
+  assert.deepEqual(log.body, []);
+
+  // the code expires, and the one in the mail was never entered
+  app.clock.advance(25 * 3600 * 1000);
+  const prefs = await app.request('GET', '/api/notifications/preferences', { token });
+  assert.equal(prefs.body.emailPending, null);
+  assert.equal((await app.request('POST', '/api/notifications/email/confirm', { token, body: { code: codeIn(mailTo(victim)[0]) } })).status, 400);
+});
+
+test('a confirmed address stops getting email when it is changed, until the new one is confirmed', async () => {
+  const token = await app.register();
+  const first = 'first@example.net';
+  await app.request('PUT', '/api/notifications/preferences', { token, body: { email: true, emailAddress: first } });
+  await app.request('POST', '/api/notifications/email/confirm', { token, body: { code: codeIn(mailTo(first)[0]) } });
+  app.clock.advance(15 * 60 * 1000);
+
+  const second = 'second@example.net';
+  const changed = await app.request('PUT', '/api/notifications/preferences', { token, body: { emailAddress: second } });
+  assert.equal(changed.body.emailPending, second);
+  assert.deepEqual((await app.request('POST', '/api/notifications/test', { token })).body, []);
+  assert.equal(mailTo(first).length, 1);
+  assert.equal(mailTo(second).length, 1);
+});
@@ -0,0 +1,126 @@
+// Shared setup for the test suite. Run it from frontend/ with `npm test` (node --test, Node 20+).
+// startServer() loads server.js against a throwaway JSON store and a fake clock and listens on a free
+// port; it can be called once per test file, since node --test runs each file in its own process.
+// startMailServer() is an SMTP stand-in for the email channel: start it and set SMTP_HOST / SMTP_PORT first.
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { clock } = require('../clock');
+
+// A clock that only moves when told to. Timers run in time order as advance() passes them, with now()
+// set to each timer's due time, so the job queue sees exactly the times it asked for.
+function createFakeClock(start) {
+  let now = new Date(start).getTime();
+  let timers = [];
+  let nextId = 1;
+
+  function advance(ms) {
+    const target = now + ms;
+    for (;;) {
+      const due = timers.filter(t => t.at <= target).sort((a, b) => a.at - b.at || a.id - b.id)[0];
+      if (!due) break;
+      timers = timers.filter(t => t !== due);
+      now = due.at;
+      due.fn();
+    }
+    now = target;
+  }
+
+  return {
+    now: () => new Date(now),
+    setTimeout(fn, ms) {
+      const id = nextId++;
+      timers.push({ id, at: now + Math.max(0, ms), fn });
+      return id;
+    },
+    clearTimeout(id) {
+      timers = timers.filter(t => t.id !== id);
+    },
+    advance,
+    // moves forward to `date` (never back)
+    set(date) {
+      const ms = new Date(date).getTime() - now;
+      if (ms < 0) throw new Error(`the fake clock is already past ${new Date(date).toISOString()}`);
+      advance(ms);
+    }
+  };
+}
+
+// Accepts every message and keeps it -> { port, messages: [{ to, text }], close }. It speaks just enough
+// SMTP for nodemailer; quoted-printable soft line breaks are undone so codes can be matched whole.
+async function startMailServer() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    socket.setEncoding('utf8');
+    const reply = line => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let to = [];
+    let data = null;
+    reply('220 localhost ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) {
+          if (line !== '.') { data.push(line.replace(/^\./, '')); continue; }
+          messages.push({ to, text: data.join('\n').replace(/=\n/g, '') });
+          to = [];
+          data = null;
+          reply('250 OK');
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'RCPT') to.push(line.match(/<(.*)>/)[1]);
+        if (command === 'DATA') { data = []; reply('354 go ahead'); } else if (command === 'QUIT') { reply('221 bye'); socket.end(); } else reply('250 OK');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { port: server.address().port, messages, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+async function startServer(start) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medicine-reminder-test-'));
+  process.env.STORAGE = 'json';
+  process.env.DB_PATH = path.join(dir, 'db.json');
+  const fake = createFakeClock(start);
+  clock.use(fake);
+  const server = require('../server');
+  const listener = await new Promise(resolve => {
+    const l = server.app.listen(0, () => resolve(l));
+  });
+  const base = `http://127.0.0.1:${listener.address().port}`;
+
+  // -> { status, body } with JSON bodies parsed
+  async function request(method, url, { body, token } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${base}${url}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, body: type.includes('json') ? await res.json() : await res.text() };
+  }
+
+  // a new account per call, so tests don't see each other's reminders -> bearer token. Sessions expire on
+  // the fake clock too, so these are 30-day "remember me" sessions.
+  let users = 0;
+  async function register(timezone = 'UTC') {
+    const res = await request('POST', '/api/auth/register', { body: { email: `user${++users}@example.com`, password: 'correct horse battery', timezone, remember: true } });
+    if (res.status !== 201) throw new Error(`register failed: ${JSON.stringify(res.body)}`);
+    return res.body.token;
+  }
+
+  async function close() {
+    server.jobs.stop();
+    await new Promise(resolve => listener.close(resolve));
+    clock.use(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { ...server, clock: fake, request, register, close };
+}
+
+module.exports = { createFakeClock, startMailServer, startServer };
@@ -0,0 +1,125 @@
+// Reminders imported from calendars and FHIR MedicationRequests, and exported back, through the HTTP API,
+// on a fake clock
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startServer('2025-04-01T06:00:00Z');
+});
+
+after(() => app.close());
+
+// an .ics file whose events carry the given reminders the way exportCalendar writes them
+function ownExport(reminders) {
+  const escape = s => s.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,');
+  const events = reminders.map((meta, i) => [
+    'BEGIN:VEVENT',
+    `UID:${i}@example.com`,
+    'DTSTART:20250402T080000Z',
+    `SUMMARY:Event ${i}`,
+    `X-MEDICINE-REMINDER:${escape(JSON.stringify(meta))}`,
+    'END:VEVENT'
+  ].join('\r\n'));
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events, 'END:VCALENDAR', ''].join('\r\n');
+}
+
+test('reminders embedded in a calendar get the same checks as new reminders', async () => {
+  const token = await app.register();
+  const schedule = { times: ['08:00'] };
+  const ics = ownExport([
+    { id: 'ok', name: 'Levothyroxine', type: 'notification', schedule },
+    { id: 'long', name: 'x'.repeat(101), schedule },
+    { id: 'type', name: 'Aspirin', type: 'siren', schedule },
+    { id: 'name', name: { html: '<img>' }, schedule },
+    { id: 'zone', name: 'Aspirin', timezone: 'Mars/Olympus', schedule },
+    { id: 'time', name: 'Aspirin', time: 'tomorrow-ish' }
+  ]);
+  const res = await app.request('POST', '/api/calendar/import', { token, body: { ics } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.created.map(r => [r.name, r.type]), [['Levothyroxine', 'notification']]);
+  assert.deepEqual(res.body.skipped.map(s => [s.uid, s.error.split(' ')[0]]), [
+    ['long', 'name'], ['type', 'type'], ['name', 'name'], ['zone', 'timezone'], ['time', 'time']
+  ]);
+});
+
+test('COUNT and UNTIL keep their last occurrence, in and out', async () => {
+  const token = await app.register();
+  const event = (uid, rrule) => ['BEGIN:VEVENT', `UID:${uid}`, 'DTSTART:20250402T080000Z', `SUMMARY:${uid}`, `RRULE:${rrule}`, 'END:VEVENT'];
+  const ics = ['BEGIN:VCALENDAR', 'VERSION:2.0', ...event('count', 'FREQ=DAILY;COUNT=3'), ...event('until', 'FREQ=HOURLY;INTERVAL=12;UNTIL=20250403T080000Z'), 'END:VCALENDAR', ''].join('\r\n');
+  await app.request('POST', '/api/calendar/import', { token, body: { ics } });
+  const list = await app.request('GET', '/api/reminders?limit=10', { token });
+  const upcoming = name => list.body.find(r => r.name === name).upcoming;
+  assert.deepEqual(upcoming('count'), ['2025-04-02T08:00:00.000Z', '2025-04-03T08:00:00.000Z', '2025-04-04T08:00:00.000Z']);
+  assert.deepEqual(upcoming('until'), ['2025-04-02T08:00:00.000Z', '2025-04-02T20:00:00.000Z', '2025-04-03T08:00:00.000Z']);
+  const exported = await app.request('GET', '/api/calendar.ics', { token });
+  assert.match(exported.body, /RRULE:FREQ=HOURLY;INTERVAL=12;UNTIL=20250403T080000Z/);
+});
+
+test('re-importing our own export skips the reminders it came from', async () => {
+  const token = await app.register();
+  await app.request('POST', '/api/reminders', { token, body: { name: 'Metformin', schedule: { times: ['08:00', '20:00'] } } });
+  await app.request('POST', '/api/reminders', { token, body: { name: 'Vitamin D', time: '2025-04-05T09:00' } });
+  const exported = await app.request('GET', '/api/calendar.ics', { token });
+  const res = await app.request('POST', '/api/calendar/import', { token, body: { ics: exported.body } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.created, []);
+  assert.deepEqual(res.body.skipped.map(s => [s.name, s.error]).sort(), [['Metformin', 'already imported'], ['Vitamin D', 'already imported']]);
+  assert.equal((await app.request('GET', '/api/reminders?limit=10', { token })).body.length, 2);
+
+  // another account gets its own copies
+  const other = await app.register();
+  const copied = await app.request('POST', '/api/calendar/import', { token: other, body: { ics: exported.body } });
+  assert.deepEqual(copied.body.created.map(r => r.name).sort(), ['Metformin', 'Vitamin D']);
+});
+
+test('FHIR exports are stamped and judged by the server clock', async () => {
+  const token = await app.register();
+  await app.request('POST', '/api/reminders', { token, body: { name: 'Amoxicillin', schedule: { times: ['08:00'], startDate: '2025-04-01', days: 5 } } });
+  const statements = await app.request('GET', '/api/fhir/medication-statements', { token });
+  assert.equal(statements.body.timestamp, '2025-04-01T06:00:00.000Z');
+  // the course runs to 6 April on this clock, however long ago that is by the wall clock
+  assert.deepEqual(statements.body.entry.slice(1).map(e => [e.resource.medicationCodeableConcept.text, e.resource.status]), [['Amoxicillin', 'active']]);
+  const reports = await app.request('GET', '/api/fhir/reports', { token });
+  assert.equal(reports.body.timestamp, '2025-04-01T06:00:00.000Z');
+});
+
+// a MedicationRequest taken `frequency` times per `period` `periodUnit`
+function medicationRequest(id, name, repeat) {
+  return {
+    resourceType: 'MedicationRequest',
+    id,
+    status: 'active',
+    medicationCodeableConcept: { text: name },
+    dosageInstruction: [{ timing: { repeat } }]
+  };
+}
+
+test('FHIR requests get the same checks as prescription items, and nothing runs more often than hourly', async () => {
+  const token = await app.register();
+  const res = await app.request('POST', '/api/fhir/import', {
+    token,
+    body: {
+      resourceType: 'Bundle',
+      entry: [
+        medicationRequest('daily', 'Amlodipine', { frequency: 1, period: 1, periodUnit: 'd' }),
+        medicationRequest('weekly', 'Alendronate', { frequency: 1, period: 1, periodUnit: 'wk' }),
+        medicationRequest('minutes', 'Salbutamol', { frequency: 1, period: 5, periodUnit: 'min' }),
+        medicationRequest('seconds', 'Salbutamol', { frequency: 1, period: 30, periodUnit: 's' }),
+        medicationRequest('often', 'Salbutamol', { frequency: 4, period: 1, periodUnit: 'h' }),
+        medicationRequest('long', 'x'.repeat(101), { frequency: 1, period: 1, periodUnit: 'd' })
+      ].map(resource => ({ resource }))
+    }
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.created.map(r => r.fhirId), ['daily', 'weekly']);
+  assert.equal(res.body.created[1].schedule.everyHours, 168);
+  assert.deepEqual(res.body.skipped.map(s => [s.id, s.error]), [
+    ['minutes', 'a period of 5 min is too short to schedule'],
+    ['seconds', 'a period of 30 s is too short to schedule'],
+    ['often', 'everyHours must be between 1 and 744'],
+    ['long', 'name must be at most 100 characters']
+  ]);
+});
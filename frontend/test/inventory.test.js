@@ -0,0 +1,25 @@
+// Stock on hand and refills through the HTTP API, on a fake clock
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startServer('2025-05-01T06:00:00Z');
+});
+
+after(() => app.close());
+
+test('setting the stock on hand checks the body', async () => {
+  const token = await app.register();
+  const rem = await app.request('POST', '/api/reminders', { token, body: { name: 'Sertraline', schedule: { times: ['08:00'] } } });
+  const put = body => app.request('PUT', `/api/reminders/${rem.body.id}/stock`, { token, body });
+
+  for (const body of [{}, { quantity: 'lots' }, { quantity: -1 }, { quantity: 10, perDose: 0 }, { quantity: 10, refillDays: 365 }, [30]]) {
+    assert.equal((await put(body)).status, 400, JSON.stringify(body));
+  }
+  const res = await put({ quantity: '30', perDose: 1, refillDays: 5, alertedAt: '2025-01-01T00:00:00Z' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.stock, { quantity: 30, perDose: 1, refillDays: 5, alertedAt: null });
+});
@@ -0,0 +1,95 @@
+// Lab value extraction and flagging (labValues.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLabValues, parseLine, findAnalyte, overallStatus } = require('../labValues');
+
+const flagOf = line => parseLine(line).flag;
+
+const NORMAL_CBC = `
+City Diagnostics - Complete Blood Count
+Patient: Jane Doe Age: 42
+Sample collected: 2025-02-20
+Report date 21-02-2025
+Hemoglobin : 13.8 g/dL (12.0-17.5)
+Total RBC Count 4.6 million/cumm (4.0-5.9)
+WBC 7500 (4000-11000)
+Platelet Count 250000 (150000-450000)
+Neutrophils 60 % (40-75)
+Lymphocytes 30 % (20-45)
+MCV 88 fL (80-100)
+`;
+
+test('a normal CBC is normal, dates and all', () => {
+  const values = parseLabValues(NORMAL_CBC);
+  assert.deepEqual(values.map(v => v.name), ['Hemoglobin', 'RBC Count', 'WBC Count', 'Platelet Count', 'Neutrophils', 'Lymphocytes', 'MCV']);
+  assert.deepEqual(values.filter(v => v.flag !== 'normal').map(v => v.line), []);
+  assert.equal(overallStatus(values), 'Normal');
+});
+
+test('date lines are not lab values', () => {
+  assert.equal(parseLine('Sample collected: 2025-02-20'), null);
+  assert.equal(parseLine('Report date 20-02-2025'), null);
+  assert.equal(parseLine('Date: 20/02/2025'), null);
+});
+
+test('header and contact lines are not lab values', () => {
+  assert.equal(parseLine('Phone: 022-2345-6789'), null);
+  assert.equal(parseLine('Lab No 1234 Ref 12-34'), null);
+  assert.equal(parseLine('Patient ID 20417 (10-99)'), null);
+  assert.equal(parseLine('Age 42 Years (18-60)'), null);
+  const letterhead = `City Diagnostics, 12 MG Road
+Phone: 022-2345-6789
+Lab No 1234 Ref 12-34
+Hemoglobin 13.8 g/dL (12.0-17.5)`;
+  assert.deepEqual(parseLabValues(letterhead).map(v => v.name), ['Hemoglobin']);
+});
+
+test('a name the table does not know still counts with a unit and a printed range', () => {
+  const amylase = parseLine('Amylase 120 U/L (28-100)');
+  assert.equal(amylase.name, 'Amylase');
+  assert.equal(amylase.analyte, null);
+  assert.equal(amylase.flag, 'high');
+  assert.equal(parseLine('Amylase 120 U/L'), null);
+});
+
+test('values are flagged against the range the report prints', () => {
+  assert.equal(flagOf('Hemoglobin 11.2 g/dL (12.0-17.5)'), 'low');
+  assert.equal(flagOf('Total Cholesterol 240 mg/dL (< 200)'), 'high');
+  assert.equal(flagOf('HDL 55 mg/dL (> 40)'), 'normal');
+  assert.deepEqual(parseLine('Ferritin 150 ng/mL (20-300)').referenceRange, { low: 20, high: 300, source: 'report' });
+});
+
+test('without a printed unit, critical limits only apply on the same scale', () => {
+  assert.equal(flagOf('WBC 7500 (4000-11000)'), 'normal');
+  assert.equal(flagOf('Platelet Count 250000 (150000-450000)'), 'normal');
+  assert.equal(flagOf('WBC 45000 (4000-11000)'), 'critical');
+  assert.equal(flagOf('Platelet Count 30 (150-450)'), 'critical');
+  // a printed range on a scale the table doesn't have still flags high/low, never critical
+  assert.equal(flagOf('Hemoglobin 100 (120-175)'), 'low');
+  assert.equal(flagOf('Hemoglobin 60 (120-175)'), 'critical');
+  assert.equal(flagOf('Potassium 7.0 (35-51)'), 'low');
+});
+
+test('without a printed range, the default range is picked by unit or by the scale of the value', () => {
+  const perCumm = parseLine('WBC 7500');
+  assert.equal(perCumm.unit, '/cumm');
+  assert.equal(perCumm.flag, 'normal');
+  assert.equal(parseLine('WBC 7.5').unit, '10^3/ul');
+  assert.equal(flagOf('Hb 105 g/L'), 'low');
+  assert.equal(flagOf('Glucose 500'), 'critical');
+  // a unit the table doesn't know gives no default, so the lab's own marker is used
+  assert.equal(flagOf('Hemoglobin 10 mmol/L'), 'unknown');
+  assert.equal(flagOf('Hemoglobin 5.1 L mmol/L'), 'low');
+});
+
+test('the lab marking a value critical is kept', () => {
+  assert.equal(flagOf('Potassium 6.0 mmol/L (3.5-5.1) CRITICAL'), 'critical');
+  assert.equal(flagOf('Potassium 4.0 mmol/L (3.5-5.1) CRITICAL'), 'normal');
+});
+
+test('the longest matching alias names the analyte', () => {
+  assert.equal(findAnalyte('HDL Cholesterol'), 'hdl');
+  assert.equal(findAnalyte('Serum Cholesterol'), 'cholesterol');
+  assert.equal(findAnalyte('Fasting Blood Sugar'), 'fastingGlucose');
+  assert.equal(findAnalyte('Sample collected'), null);
+});
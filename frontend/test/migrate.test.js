@@ -0,0 +1,37 @@
+// Legacy reminder rows brought into the merged schema (migrate.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLegacyReminder } = require('../migrate');
+
+const NOW = new Date('2025-01-01T00:00:00Z');
+
+test('legacy medName and filePath become name and toneFile', () => {
+  const rem = normalizeLegacyReminder({ id: 'r1', medName: 'Metformin', filePath: '/srv/app/uploads/bell.mp3', time: '2024-12-31T08:00:00Z' }, NOW);
+  assert.equal(rem.name, 'Metformin');
+  assert.equal(rem.toneFile, '/uploads/bell.mp3');
+  assert.equal(rem.fired, true);
+  assert.equal('medName' in rem, false);
+  assert.equal('filePath' in rem, false);
+});
+
+test('fields of the merged schema survive the migration', () => {
+  const row = {
+    id: 'r2',
+    userId: 'u1',
+    name: 'Atorvastatin',
+    type: 'notification',
+    timezone: 'Asia/Kolkata',
+    schedule: { kind: 'daily', times: ['21:00'] },
+    stock: { quantity: 20, perDose: 1, refillDays: 5 },
+    courseId: 'c1',
+    pausedAt: '2024-12-20T00:00:00Z',
+    endedAt: null,
+    dose: '1 tablet',
+    strength: '10 mg',
+    timing: 'after food',
+    fhirId: 'MedicationRequest/7',
+    icalUid: 'r2@medicine-reminder',
+    createdAt: '2024-12-01T00:00:00Z'
+  };
+  assert.deepEqual(normalizeLegacyReminder(row, NOW), { ...row, tone: null, toneFile: null, fired: false });
+});
@@ -0,0 +1,93 @@
+// The notification dispatcher's retries and session expiry, on a fake clock, and which webhook targets are allowed
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../storage');
+const { createDispatcher } = require('../notifications');
+const { DeliveryError } = require('../notifications/errors');
+const { createWebhookChannel, checkWebhookUrl, isPrivateAddress } = require('../notifications/webhook');
+const { createSession, requireAuth } = require('../auth');
+const { clock } = require('../clock');
+const { createFakeClock } = require('./helpers');
+
+let dir;
+let store;
+let fake;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medicine-reminder-test-'));
+  store = createStore({ type: 'json', path: path.join(dir, 'db.json') });
+  fake = createFakeClock('2025-01-01T00:00:00Z');
+  clock.use(fake);
+  store.insert('users', { id: 'u1', email: 'a@example.com', notifications: { push: false, webhook: true, webhookUrl: 'https://example.com/hook' } });
+});
+
+after(() => {
+  clock.use(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// a channel that fails the first `failures` sends
+function flakyChannel(failures) {
+  const sent = [];
+  return {
+    sent,
+    name: 'webhook',
+    configured: true,
+    targets: (user, preferences) => [preferences.webhookUrl],
+    async send(target, message) {
+      if (failures-- > 0) throw new DeliveryError('receiver down');
+      sent.push({ target, title: message.title, at: clock.now().toISOString() });
+    }
+  };
+}
+
+test('failed deliveries are retried after each delay on the clock', async () => {
+  const channel = flakyChannel(2);
+  const dispatcher = createDispatcher({ store, channels: [channel], retryDelays: [60 * 1000, 5 * 60 * 1000] });
+  const [first] = await dispatcher.send('u1', { kind: 'test', title: 'Hello', body: '' });
+  assert.equal(first.status, 'pending');
+  assert.equal(first.nextAttemptAt, '2025-01-01T00:01:00.000Z');
+
+  fake.advance(60 * 1000);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(store.get('deliveries', first.id).nextAttemptAt, '2025-01-01T00:06:00.000Z');
+
+  fake.advance(5 * 60 * 1000);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(store.get('deliveries', first.id).status, 'sent');
+  assert.deepEqual(channel.sent, [{ target: 'https://example.com/hook', title: 'Hello', at: '2025-01-01T00:06:00.000Z' }]);
+  dispatcher.stop();
+});
+
+test('sessions expire on the clock', () => {
+  const { token } = createSession(store, 'u1');
+  const check = () => {
+    let status = 200;
+    const res = { status(code) { status = code; return { json: () => {} }; } };
+    requireAuth(store)({ get: () => `Bearer ${token}` }, res, () => {});
+    return status;
+  };
+  assert.equal(check(), 200);
+  fake.advance(13 * 3600 * 1000);
+  assert.equal(check(), 401);
+});
+
+test('webhooks can\'t target loopback, private or link-local addresses', async () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.215.14', '8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+
+  for (const url of ['http://127.0.0.1:3000/hook', 'http://localhost/hook', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data', 'http://2130706433/', 'http://[::ffff:192.168.1.1]/']) {
+    await assert.rejects(checkWebhookUrl(url), err => err instanceof DeliveryError && err.permanent, url);
+  }
+  await checkWebhookUrl('https://93.184.215.14/hook');
+
+  // and the channel checks again before sending
+  await assert.rejects(createWebhookChannel().send('http://127.0.0.1:1/hook', { kind: 'test', title: 'Hello', body: '' }), /private address/);
+});
@@ -0,0 +1,40 @@
+// parsePrescription() against a corpus of real-world prescription lines (fixtures/prescriptions.json).
+// Each entry lists the fields it checks; `expected: null` means the line should not parse as a medicine.
+// Entries with a `todo` note are known misreadings: they are reported but don't fail the run.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrescription, parseLine } = require('../prescriptionParser');
+const corpus = require('./fixtures/prescriptions.json');
+
+const pick = (item, keys) => Object.fromEntries(keys.map(k => [k, item[k]]));
+
+describe('prescription line corpus', () => {
+  for (const { line, expected, todo } of corpus) {
+    test(line, { todo }, () => {
+      const item = parseLine(line);
+      if (expected === null) return assert.equal(item, null);
+      assert.ok(item, 'line was not parsed');
+      assert.deepEqual(pick(item, Object.keys(expected)), expected);
+    });
+  }
+});
+
+test('parsePrescription splits text into parsed and unparsed lines', () => {
+  const { parsed, unparsed } = parsePrescription('Amoxicillin 500mg TDS x 5 days\r\n\n  Review in two weeks  \nDiazepam 2 mg SOS');
+  assert.deepEqual(parsed.map(p => p.name), ['Amoxicillin', 'Diazepam']);
+  assert.deepEqual(unparsed.map(u => u.line), ['Review in two weeks']);
+});
+
+test('parsed items say what is missing and how sure the parser is', () => {
+  const full = parseLine('Tab. Metformin 500 mg 1-0-1 after food x 30 days');
+  assert.deepEqual(full.missing, []);
+  assert.equal(full.confidence, 1);
+  const bare = parseLine('Lisinopril 10 mg');
+  assert.deepEqual(bare.missing, ['frequency', 'duration']);
+  assert.ok(bare.confidence < 0.7);
+});
+
+test('a single explicit time is also given as atTime for older clients', () => {
+  assert.equal(parseLine('Take 1 tablet of Aspirin at 09:00').atTime, '09:00');
+  assert.equal(parseLine('Take two capsules of Gabapentin at 8am and 8pm').atTime, undefined);
+});
@@ -0,0 +1,226 @@
+// Occurrence generation, firing and deletion through the HTTP API, on a fake clock. Each test moves the
+// clock forward to its own date and registers its own user, so earlier tests' reminders don't interfere.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startServer('2025-03-07T06:00:00Z');
+  app.start();
+});
+
+after(() => app.close());
+
+const iso = list => list.map(t => new Date(t).toISOString());
+
+async function doses(token, reminderId) {
+  const res = await app.request('GET', `/api/doses?reminderId=${reminderId}`, { token });
+  return res.body.map(d => ({ scheduledFor: d.scheduledFor, status: d.status })).sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+}
+
+function queuedAt(reminderId) {
+  const job = app.jobs.get('reminder', reminderId);
+  return job ? job.runAt : null;
+}
+
+test('prescription-to-reminders expands fixed times on the wall clock across a DST change', async () => {
+  const token = await app.register('America/New_York');
+  const res = await app.request('POST', '/api/prescription-to-reminders', {
+    token,
+    body: { parsed: [{ name: 'Amoxicillin', times: ['08:00', '20:00'] }], startDate: '2025-03-08', days: 3 }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.created.length, 1);
+  const list = await app.request('GET', '/api/reminders?limit=20', { token });
+  // clocks go forward on 9 March: 08:00 is 13:00Z before and 12:00Z after; the course ends 3 days from midnight on the 8th
+  assert.deepEqual(iso(list.body[0].upcoming), [
+    '2025-03-08T13:00:00.000Z', '2025-03-09T01:00:00.000Z',
+    '2025-03-09T12:00:00.000Z', '2025-03-10T00:00:00.000Z',
+    '2025-03-10T12:00:00.000Z', '2025-03-11T00:00:00.000Z'
+  ]);
+  assert.equal(queuedAt(res.body.created[0].id), '2025-03-08T13:00:00.000Z');
+});
+
+test('interval schedules count real hours', async () => {
+  const token = await app.register('Europe/London');
+  const res = await app.request('POST', '/api/prescription-to-reminders', {
+    token,
+    body: { parsed: [{ name: 'Ibuprofen', everyHours: 8 }], startDate: '2025-03-08T06:00', days: 1 }
+  });
+  const list = await app.request('GET', '/api/reminders?limit=20', { token });
+  // the start counts as the first dose; the course ends 24 hours later, before a fourth
+  assert.deepEqual(iso(list.body[0].upcoming), ['2025-03-08T06:00:00.000Z', '2025-03-08T14:00:00.000Z', '2025-03-08T22:00:00.000Z']);
+  assert.equal(res.body.skipped.length, 0);
+});
+
+test('weekly items are scheduled alongside the rest of the prescription', async () => {
+  const token = await app.register();
+  const res = await app.request('POST', '/api/prescription-to-reminders', {
+    token,
+    body: { parsed: [{ name: 'Alendronate', everyHours: 168 }, { name: 'Calcium', times: ['09:00'] }], startDate: '2025-03-10T07:00', days: 28 }
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.created.map(r => r.name), ['Alendronate', 'Calcium']);
+  const weekly = (await app.request('GET', '/api/reminders?limit=10', { token })).body.find(r => r.name === 'Alendronate');
+  assert.deepEqual(iso(weekly.upcoming), ['2025-03-10T07:00:00.000Z', '2025-03-17T07:00:00.000Z', '2025-03-24T07:00:00.000Z', '2025-03-31T07:00:00.000Z']);
+});
+
+test('as-needed items are skipped rather than scheduled', async () => {
+  const token = await app.register();
+  const res = await app.request('POST', '/api/prescription-to-reminders', {
+    token,
+    body: { parsed: [{ name: 'Salbutamol', everyHours: 6, prn: true }, { name: 'Cetirizine' }] }
+  });
+  assert.equal(res.body.created.length, 0);
+  assert.deepEqual(res.body.skipped.map(s => s.error), ['taken as needed (PRN), not on a schedule', 'no frequency or time of day']);
+  assert.equal(res.body.course, null);
+});
+
+test('a one-off reminder fires once at its time with a pending dose', async () => {
+  app.clock.set('2025-03-12T00:00:00Z');
+  const token = await app.register();
+  const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Vitamin D', time: '2025-03-12T09:00' } });
+  assert.equal(res.status, 201);
+  const id = res.body.id;
+  assert.equal(queuedAt(id), '2025-03-12T09:00:00.000Z');
+
+  app.clock.set('2025-03-12T08:59:00Z');
+  assert.deepEqual(await doses(token, id), []);
+  app.clock.set('2025-03-12T09:00:00Z');
+  assert.deepEqual(await doses(token, id), [{ scheduledFor: '2025-03-12T09:00:00.000Z', status: 'pending' }]);
+  assert.equal(queuedAt(id), null);
+
+  const list = await app.request('GET', '/api/reminders', { token });
+  assert.equal(list.body[0].fired, true);
+  assert.deepEqual(list.body[0].upcoming, []);
+});
+
+test('a recurring reminder queues each next occurrence until its course ends', async () => {
+  app.clock.set('2025-04-01T07:00:00Z');
+  const token = await app.register();
+  const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Metformin', schedule: { times: ['08:00', '20:00'], startDate: '2025-04-01', days: 2 } } });
+  const id = res.body.id;
+  assert.equal(queuedAt(id), '2025-04-01T08:00:00.000Z');
+
+  app.clock.set('2025-04-01T08:00:00Z');
+  assert.equal((await doses(token, id)).length, 1);
+  assert.equal(queuedAt(id), '2025-04-01T20:00:00.000Z');
+
+  app.clock.set('2025-04-04T00:00:00Z');
+  assert.deepEqual((await doses(token, id)).map(d => d.scheduledFor), [
+    '2025-04-01T08:00:00.000Z', '2025-04-01T20:00:00.000Z', '2025-04-02T08:00:00.000Z', '2025-04-02T20:00:00.000Z'
+  ]);
+  assert.equal(queuedAt(id), null);
+});
+
+test('deleting a reminder cancels its queued occurrence', async () => {
+  app.clock.set('2025-05-01T07:00:00Z');
+  const token = await app.register();
+  const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Lisinopril', schedule: { times: ['08:00'] } } });
+  const id = res.body.id;
+  assert.equal(queuedAt(id), '2025-05-01T08:00:00.000Z');
+
+  const removed = await app.request('DELETE', `/api/reminders/${id}`, { token });
+  assert.equal(removed.status, 200);
+  assert.equal(queuedAt(id), null);
+  app.clock.set('2025-05-03T00:00:00Z');
+  assert.deepEqual(await doses(token, id), []);
+});
+
+test('starting up catches up on occurrences missed while the server was down', async () => {
+  app.clock.set('2025-06-01T07:00:00Z');
+  const token = await app.register();
+  const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Atorvastatin', schedule: { times: ['08:00', '20:00'], startDate: '2025-06-01' } } });
+  const id = res.body.id;
+
+  app.jobs.stop();
+  app.clock.set('2025-06-02T09:00:00Z');
+  app.start();
+  // older than CATCH_UP_HOURS (24h) is dropped; the latest is fired late, the ones before it count as missed
+  assert.deepEqual(await doses(token, id), [
+    { scheduledFor: '2025-06-01T20:00:00.000Z', status: 'missed' },
+    { scheduledFor: '2025-06-02T08:00:00.000Z', status: 'pending' }
+  ]);
+  assert.equal(queuedAt(id), '2025-06-02T20:00:00.000Z');
+});
+
+test('a paused reminder skips its occurrences and resumes without catching up', async () => {
+  app.clock.set('2025-07-01T07:00:00Z');
+  const token = await app.register();
+  const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Sertraline', schedule: { times: ['08:00'] } } });
+  const id = res.body.id;
+
+  await app.request('POST', `/api/reminders/${id}/pause`, { token });
+  assert.equal(queuedAt(id), null);
+  app.clock.set('2025-07-03T07:00:00Z');
+  assert.deepEqual(await doses(token, id), []);
+
+  await app.request('POST', `/api/reminders/${id}/resume`, { token });
+  assert.equal(queuedAt(id), '2025-07-03T08:00:00.000Z');
+  app.clock.set('2025-07-03T08:00:00Z');
+  assert.deepEqual((await doses(token, id)).map(d => d.scheduledFor), ['2025-07-03T08:00:00.000Z']);
+});
+
+test('editing a reminder moves its queued occurrence', async () => {
+  app.clock.set('2025-08-01T07:00:00Z');
+  const token = await app.register();
+  const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Omeprazole', schedule: { times: ['08:00'] } } });
+  const id = res.body.id;
+
+  const edited = await app.request('PATCH', `/api/reminders/${id}`, { token, body: { schedule: { times: ['09:30'] } } });
+  assert.equal(edited.status, 200);
+  assert.equal(queuedAt(id), '2025-08-01T09:30:00.000Z');
+
+  const once = await app.request('PATCH', `/api/reminders/${id}`, { token, body: { time: '2025-08-02T12:00' } });
+  assert.equal(once.body.schedule, null);
+  assert.equal(queuedAt(id), '2025-08-02T12:00:00.000Z');
+});
+
+test('interval schedules take whole minutes, at least 15 apart', async () => {
+  const token = await app.register();
+  for (const everyHours of [0.001, 0.2, 0.3333]) {
+    const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Saline spray', schedule: { everyHours } } });
+    assert.equal(res.status, 400, `everyHours ${everyHours}`);
+  }
+  const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Saline spray', schedule: { everyHours: 0.25 } } });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.schedule.everyHours, 0.25);
+  // or the next test's jump forward would fire it every 15 minutes for a month
+  await app.request('DELETE', `/api/reminders/${res.body.id}`, { token });
+});
+
+test('interval schedules limited to some weekdays skip straight to the next allowed day', async () => {
+  app.clock.set('2025-09-01T00:00:00Z');
+  const token = await app.register();
+  // 1 September 2025 is a Monday; only Saturdays are allowed
+  await app.request('POST', '/api/reminders', { token, body: { name: 'Methotrexate', schedule: { everyHours: 6, weekdays: [6] } } });
+  const list = await app.request('GET', '/api/reminders?limit=5', { token });
+  assert.deepEqual(iso(list.body[0].upcoming), [
+    '2025-09-06T00:00:00.000Z', '2025-09-06T06:00:00.000Z', '2025-09-06T12:00:00.000Z', '2025-09-06T18:00:00.000Z',
+    '2025-09-13T00:00:00.000Z'
+  ]);
+});
+
+test('a dose marked ahead of time is read on the reminder\'s clock and has to be one of its occurrences', async () => {
+  app.clock.set('2025-10-01T00:00:00Z');
+  const token = await app.register('Asia/Kolkata');
+  const res = await app.request('POST', '/api/reminders', { token, body: { name: 'Amlodipine', schedule: { times: ['08:00'] } } });
+  const id = res.body.id;
+
+  const mark = scheduledFor => app.request('POST', `/api/reminders/${id}/doses`, { token, body: { scheduledFor, status: 'taken' } });
+  // 08:00 in Kolkata is 02:30Z
+  assert.equal((await mark('2025-10-02T08:00')).status, 200);
+  assert.equal((await mark('2025-10-03T02:30:00Z')).status, 200);
+  assert.deepEqual(await doses(token, id), [
+    { scheduledFor: '2025-10-02T02:30:00.000Z', status: 'taken' },
+    { scheduledFor: '2025-10-03T02:30:00.000Z', status: 'taken' }
+  ]);
+  // read as UTC this would be 08:00Z, which is not a dose
+  for (const scheduledFor of ['2025-10-04T08:00:00Z', '2025-10-04T08:01', '2025-09-30T08:00']) {
+    const off = await mark(scheduledFor);
+    assert.equal(off.status, 400, scheduledFor);
+  }
+  assert.equal((await doses(token, id)).length, 2);
+});
@@ -0,0 +1,95 @@
+// IANA time zone helpers built on Intl, so a "09:00" dose is due at 09:00 on the patient's clock whatever
+// zone the server runs in, and stays at 09:00 across DST changes.
+// Users have a home zone and, while travelling, a choice between keeping home time and following local time:
+//   user: { timezone, travel: { timezone, mode: 'home' | 'local' } | null }
+// A reminder can also be pinned to a zone of its own (rem.timezone), which travel doesn't affect.
+
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const TRAVEL_MODES = ['home', 'local'];
+const LOCAL_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Used for accounts that haven't told us their zone yet
+const DEFAULT_TIMEZONE = isValidTimeZone(process.env.DEFAULT_TIMEZONE) ? process.env.DEFAULT_TIMEZONE : SERVER_TIMEZONE;
+
+const formatters = new Map();
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Wall-clock fields of `date` in `timeZone`; month is 1-12 and weekday uses Date#getDay() numbering
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatter(timeZone).formatToParts(date)) parts[type] = value;
+  return {
+    year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+    hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// How far `timeZone` is ahead of UTC at `date`, in ms
+function offsetAt(date, timeZone) {
+  const t = Math.floor(date.getTime() / 1000) * 1000;
+  const p = zonedParts(new Date(t), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - t;
+}
+
+// The instant a wall-clock time happens in `timeZone`. A time skipped by the spring-forward gap moves
+// forward by the size of the gap (02:30 -> 03:30); a time that happens twice in autumn takes the first.
+function zonedTime(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // offsets either side of any transition near this time
+  const earlier = offsetAt(new Date(wall - 12 * 3600 * 1000), timeZone);
+  const later = offsetAt(new Date(wall + 12 * 3600 * 1000), timeZone);
+  const valid = [wall - earlier, wall - later].filter(t => t + offsetAt(new Date(t), timeZone) === wall);
+  return new Date(valid.length ? Math.min(...valid) : wall - earlier);
+}
+
+// Dates from the browser often come without an offset ("2024-03-10" or "2024-03-10T09:00"); those are
+// read as wall-clock time in `timeZone`. Anything else goes through Date as usual. Impossible dates such
+// as "2024-02-30" give an Invalid Date rather than rolling over into the next month.
+function parseInZone(value, timeZone) {
+  const m = typeof value === 'string' && value.trim().match(LOCAL_RE);
+  if (!m) return new Date(value);
+  const [y, mo, d, hh, mm] = m.slice(1, 6).map(n => Number(n || 0));
+  const daysInMonth = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+  if (mo < 1 || mo > 12 || d < 1 || d > daysInMonth || hh > 23 || mm > 59) return new Date(NaN);
+  return zonedTime(y, mo, d, hh, mm, timeZone);
+}
+
+// The zone a user's reminders currently follow
+function userTimeZone(user) {
+  if (!user) return DEFAULT_TIMEZONE;
+  if (user.travel && user.travel.mode === 'local') return user.travel.timezone;
+  return user.timezone || DEFAULT_TIMEZONE;
+}
+
+// Validate a travel setting from the API; throws with a message suitable for a 400 response
+function normalizeTravel(input) {
+  if (input === null) return null;
+  if (!input || typeof input !== 'object') throw new Error('travel must be an object or null');
+  if (!isValidTimeZone(input.timezone)) throw new Error('travel.timezone must be an IANA time zone such as "Europe/London"');
+  const mode = input.mode || 'home';
+  if (!TRAVEL_MODES.includes(mode)) throw new Error(`travel.mode must be one of ${TRAVEL_MODES.join(', ')}`);
+  return { timezone: input.timezone, mode };
+}
+
+module.exports = { SERVER_TIMEZONE, DEFAULT_TIMEZONE, TRAVEL_MODES, isValidTimeZone, zonedParts, offsetAt, zonedTime, parseInZone, userTimeZone, normalizeTravel };
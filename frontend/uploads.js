@@ -0,0 +1,84 @@
+// File uploads. Every route that takes files goes through accept(), which keeps them in memory with a
+// size and count limit, and only lets through types on the route's list whose first bytes match the type
+// the browser declared, so a renamed HTML page can't pass as a PDF or a reminder tone. Declared types are
+// normalised (audio/x-wav -> audio/wav, ...) before the route sees them.
+const multer = require('multer');
+
+const ALIASES = {
+  'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg', 'audio/x-wav': 'audio/wav', 'audio/wave': 'audio/wav', 'audio/vnd.wave': 'audio/wav',
+  'audio/x-m4a': 'audio/mp4', 'audio/m4a': 'audio/mp4'
+};
+
+const starts = (buffer, text, offset = 0) => buffer.subarray(offset, offset + text.length).toString('latin1') === text;
+
+// text files must at least be valid UTF-8 without NUL bytes
+function isText(buffer) {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const SIGNATURES = {
+  'application/pdf': b => starts(b, '%PDF-'),
+  'image/png': b => starts(b, '\x89PNG\r\n\x1a\n'),
+  'image/jpeg': b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'audio/mpeg': b => starts(b, 'ID3') || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0),
+  'audio/wav': b => starts(b, 'RIFF') && starts(b, 'WAVE', 8),
+  'audio/ogg': b => starts(b, 'OggS'),
+  'audio/webm': b => starts(b, '\x1a\x45\xdf\xa3'),
+  'audio/mp4': b => starts(b, 'ftyp', 4),
+  'text/plain': isText,
+  'text/calendar': isText
+};
+
+// file extension for each type, for files we keep on disk
+const EXTENSIONS = {
+  'application/pdf': '.pdf', 'image/png': '.png', 'image/jpeg': '.jpg', 'text/plain': '.txt', 'text/calendar': '.ics',
+  'audio/mpeg': '.mp3', 'audio/wav': '.wav', 'audio/ogg': '.ogg', 'audio/webm': '.webm', 'audio/mp4': '.m4a'
+};
+
+const LABELS = {
+  'application/pdf': 'PDF', 'image/png': 'PNG', 'image/jpeg': 'JPEG', 'text/plain': 'plain text', 'text/calendar': 'iCalendar',
+  'audio/mpeg': 'MP3', 'audio/wav': 'WAV', 'audio/ogg': 'Ogg', 'audio/webm': 'WebM audio', 'audio/mp4': 'M4A'
+};
+
+function describe(types) {
+  const labels = types.map(t => LABELS[t]);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+}
+
+function megabytes(bytes) {
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+}
+
+// Middleware for the multipart `field`: req.file (maxFiles 1) or req.files. Files are optional here;
+// routes that need one check for it. Oversized files get 413, anything else wrong 400.
+function accept(field, { types, maxSize, maxFiles = 1 }) {
+  const parser = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxSize, files: maxFiles, fields: 50 } });
+  const handle = maxFiles > 1 ? parser.array(field, maxFiles) : parser.single(field);
+  return (req, res, next) => handle(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `files must be smaller than ${megabytes(maxSize)}` });
+      if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === field) return res.status(400).json({ error: `at most ${maxFiles} file${maxFiles > 1 ? 's' : ''} can be uploaded at once` });
+      if (err.code === 'LIMIT_UNEXPECTED_FILE') return res.status(400).json({ error: `unexpected file field "${err.field}"; files go in "${field}"` });
+      return res.status(400).json({ error: err.message });
+    }
+    if (err) return next(err);
+    const files = req.files || (req.file ? [req.file] : []);
+    for (const file of files) {
+      const type = ALIASES[file.mimetype] || file.mimetype;
+      if (!types.includes(type) || !SIGNATURES[type](file.buffer)) {
+        return res.status(400).json({ error: `${file.originalname} is not a valid ${describe(types)} file` });
+      }
+      file.mimetype = type;
+    }
+    next();
+  });
+}
+
+module.exports = { accept, EXTENSIONS };
@@ -0,0 +1,151 @@
+// Request validation. Routes declare what they accept as schemas (field name -> rule) for the URL params,
+// query string and body; validate() checks them before the handler runs and answers 400 { error } naming
+// the first bad field. Rules also coerce what forms and query strings send: numbers and booleans arrive as
+// strings, and multipart fields carry objects as JSON. Fields a schema doesn't mention are dropped.
+//   app.post('/x', validate({ body: { name: string({ max: 100 }), days: optional(number({ min: 1 })) } }), ...)
+// Deeper checks that already live with their data (normalizeRule, normalizeStock, normalizeTravel) stay there.
+const { isValidTimeZone, parseInZone } = require('./timezones');
+const { normalizeEmail, isValidEmail } = require('./auth');
+
+class ValidationError extends Error {}
+
+function fail(field, message) {
+  throw new ValidationError(`${field} ${message}`);
+}
+
+// trim: false keeps surrounding whitespace (passwords)
+function string({ max = 200, oneOf = null, pattern = null, patternMessage = 'has an invalid format', trim = true } = {}) {
+  return (value, field) => {
+    if (typeof value !== 'string') fail(field, 'must be a string');
+    const text = trim ? value.trim() : value;
+    if (!text.trim()) fail(field, 'must not be empty');
+    if (text.length > max) fail(field, `must be at most ${max} characters`);
+    if (oneOf && !oneOf.includes(text)) fail(field, `must be one of ${oneOf.join(', ')}`);
+    if (pattern && !pattern.test(text)) fail(field, patternMessage);
+    return text;
+  };
+}
+
+function oneOf(values) {
+  return string({ oneOf: values });
+}
+
+function number({ min = -Infinity, max = Infinity, integer = false } = {}) {
+  return (value, field) => {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) fail(field, 'must be a number');
+    if (integer && !Number.isInteger(n)) fail(field, 'must be a whole number');
+    if (n < min || n > max) {
+      fail(field, max === Infinity ? `must be at least ${min}` : min === -Infinity ? `must be at most ${max}` : `must be between ${min} and ${max}`);
+    }
+    return n;
+  };
+}
+
+function boolean() {
+  return (value, field) => {
+    if (value === true || value === 'true' || value === 'on' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    return fail(field, 'must be true or false');
+  };
+}
+
+// ISO date or date-time; the string is returned as sent, since dates without an offset are read in the
+// caller's time zone later (see parseInZone)
+function date() {
+  return (value, field) => {
+    const text = string({ max: 40 })(value, field);
+    if (Number.isNaN(parseInZone(text, 'UTC').getTime())) fail(field, 'must be a valid date such as "2024-03-10T09:00"');
+    return text;
+  };
+}
+
+function timeZone() {
+  return (value, field) => {
+    if (!isValidTimeZone(value)) fail(field, 'must be an IANA time zone such as "Europe/London"');
+    return value;
+  };
+}
+
+function email() {
+  return (value, field) => {
+    const address = normalizeEmail(string({ max: 254 })(value, field));
+    if (!isValidEmail(address)) fail(field, 'must be a valid email');
+    return address;
+  };
+}
+
+function url() {
+  return string({ max: 2000, pattern: /^https?:\/\/[^\s]+$/i, patternMessage: 'must be an http(s) URL' });
+}
+
+function array(rule, { min = 1, max = 100 } = {}) {
+  return (value, field) => {
+    if (!Array.isArray(value)) fail(field, 'must be an array');
+    if (value.length < min) fail(field, min === 1 ? 'must not be empty' : `must have at least ${min} items`);
+    if (value.length > max) fail(field, `must have at most ${max} items`);
+    return value.map((item, i) => rule(item, `${field}[${i}]`));
+  };
+}
+
+// With a schema the object's fields are checked (and unknown ones dropped); without one it passes through
+function object(schema = null) {
+  return (value, field) => {
+    if (typeof value === 'string') {
+      try { value = JSON.parse(value); } catch (e) { fail(field, 'must be a JSON object'); }
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) fail(field, 'must be an object');
+    return schema ? check(schema, value, `${field}.`) : value;
+  };
+}
+
+// Missing fields are skipped (or take `fallback`) instead of failing
+function optional(rule, fallback) {
+  const wrapped = (value, field) => rule(value, field);
+  wrapped.optional = true;
+  wrapped.fallback = fallback;
+  return wrapped;
+}
+
+// null, or an empty form field, stands for "none"
+function nullable(rule) {
+  const wrapped = (value, field) => (value === null || value === '' ? null : rule(value, field));
+  wrapped.optional = rule.optional;
+  wrapped.fallback = rule.fallback;
+  return wrapped;
+}
+
+function check(schema, input, prefix = '') {
+  const out = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = input[key];
+    if (value === undefined) {
+      if (!rule.optional) fail(`${prefix}${key}`, 'is required');
+      if (rule.fallback !== undefined) out[key] = rule.fallback;
+      continue;
+    }
+    out[key] = rule(value, `${prefix}${key}`);
+  }
+  return out;
+}
+
+function validate({ params, query, body }) {
+  return (req, res, next) => {
+    try {
+      if (params) req.params = check(params, req.params);
+      // Express 5 computes req.query in a getter; shadow it with the checked copy
+      if (query) Object.defineProperty(req, 'query', { value: check(query, req.query), configurable: true, enumerable: true });
+      if (body) {
+        const input = req.body === undefined ? {} : req.body;
+        if (!input || typeof input !== 'object' || Array.isArray(input)) throw new ValidationError('request body must be a JSON object');
+        req.body = check(body, input);
+      }
+    } catch (e) {
+      if (e instanceof ValidationError) return res.status(400).json({ error: e.message });
+      throw e;
+    }
+    next();
+  };
+}
+
+module.exports = { ValidationError, validate, check, string, oneOf, number, boolean, date, timeZone, email, url, array, object, optional, nullable };